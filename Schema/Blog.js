@@ -1,4 +1,6 @@
 import mongoose, { Schema } from "mongoose";
+import { BLOG_SEARCH_WEIGHTS } from "../Services/search.js";
+import { renderText } from "../Services/renderer.js";
 
 const blogSchema = mongoose.Schema({
 
@@ -24,6 +26,11 @@ const blogSchema = mongoose.Schema({
         type: [],
         // required: true
     },
+    search_text: {
+        // plain text of content, only used by the search index
+        type: String,
+        select: false
+    },
     tags: {
         type: [String],
         // required: true
@@ -58,6 +65,26 @@ const blogSchema = mongoose.Schema({
     draft: {
         type: Boolean,
         default: false
+    },
+    publish_at: {
+        // set while a post is scheduled, the post stays a draft until then
+        type: Date,
+        index: { sparse: true }
+    },
+    mentions: {
+        // users @mentioned in the paragraphs, kept in step with content
+        type: [Schema.Types.ObjectId],
+        ref: 'users',
+        default: []
+    },
+    revision_count: {
+        type: Number,
+        default: 0
+    },
+    imported_from: {
+        // where a bulk imported post came from, so importing again skips it
+        source: String,
+        id: String
     }
 
 }, 
@@ -68,4 +95,32 @@ const blogSchema = mongoose.Schema({
 
 })
 
+blogSchema.index(
+    { title: "text", des: "text", tags: "text", search_text: "text" },
+    { name: "blog_search", weights: BLOG_SEARCH_WEIGHTS }
+);
+
+blogSchema.index(
+    { "imported_from.source": 1, "imported_from.id": 1 },
+    { unique: true, partialFilterExpression: { "imported_from.id": { $exists: true } } }
+);
+
+// keep search_text in step with content however the blog gets saved
+blogSchema.pre("save", function (next) {
+    if (this.isModified("content")) {
+        this.search_text = renderText(this.content);
+    }
+    next();
+});
+
+blogSchema.pre(["findOneAndUpdate", "updateOne"], function (next) {
+    let update = this.getUpdate() || {};
+    let content = update.content !== undefined ? update.content : (update.$set || {}).content;
+
+    if (content !== undefined) {
+        this.set("search_text", renderText(content));
+    }
+    next();
+});
+
 export default mongoose.model("blogs", blogSchema);
\ No newline at end of file
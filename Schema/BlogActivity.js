@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+import { ACTIVITY_RETENTION_DAYS } from "../Services/trending.js";
+
+// One document per blog per hour with at least some activity.
+const blogActivitySchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    hour: {
+        type: Date,
+        required: true,
+        index: { expires: `${ACTIVITY_RETENTION_DAYS}d` }
+    },
+    reads: {
+        type: Number,
+        default: 0
+    },
+    likes: {
+        type: Number,
+        default: 0
+    },
+    comments: {
+        type: Number,
+        default: 0
+    }
+
+})
+
+blogActivitySchema.index({ blog: 1, hour: 1 }, { unique: true });
+
+export default mongoose.model("blog_activities", blogActivitySchema);
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+
+const blogRevisionSchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    revision: {
+        type: Number,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    banner: {
+        type: String,
+    },
+    des: {
+        type: String,
+        maxlength: 200,
+    },
+    content: {
+        type: [],
+    },
+    tags: {
+        type: [String],
+    },
+    draft: {
+        type: Boolean,
+        default: false
+    },
+    edited_by: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    restored_from: {
+        type: Number
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'savedAt'
+    }
+})
+
+blogRevisionSchema.index({ blog: 1, revision: 1 }, { unique: true });
+
+export default mongoose.model("blog_revisions", blogRevisionSchema);
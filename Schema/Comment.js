@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { COMMENT_STATUSES } from "../Services/moderation.js";
 
 const commentSchema = mongoose.Schema({
     
@@ -22,9 +23,14 @@ const commentSchema = mongoose.Schema({
     },
     commented_by: {
         type: Schema.Types.ObjectId,
-        required: true,
+        // imported comments from people without an account only have a name
+        required: function () { return !(this.guest_author && this.guest_author.name); },
         ref: 'users'
     },
+    guest_author: {
+        name: String,
+        url: String
+    },
     isReply: {
         type: Boolean,
         default: false
@@ -32,6 +38,50 @@ const commentSchema = mongoose.Schema({
     parent: {
         type: Schema.Types.ObjectId,
         ref: 'comments'
+    },
+    imported_from: {
+        source: String,
+        id: String
+    },
+    status: {
+        // only visible comments are listed and counted on the blog
+        type: String,
+        enum: COMMENT_STATUSES,
+        default: "visible"
+    },
+    held_for: {
+        // why the blocklist held the comment for review
+        type: [String],
+        default: undefined
+    },
+    report_count: {
+        // open reports, cleared when a moderator acts on the comment
+        type: Number,
+        default: 0
+    },
+    moderated_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    },
+    moderatedAt: {
+        type: Date
+    },
+    mentions: {
+        // users @mentioned in the text
+        type: [Schema.Types.ObjectId],
+        ref: 'users',
+        default: []
+    },
+    total_likes: {
+        type: Number,
+        default: 0
+    },
+    edited: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: {
+        type: Date
     }
 
 },
@@ -41,4 +91,12 @@ const commentSchema = mongoose.Schema({
     }
 })
 
+commentSchema.index(
+    { "imported_from.source": 1, "imported_from.id": 1 },
+    { unique: true, partialFilterExpression: { "imported_from.id": { $exists: true } } }
+);
+
+commentSchema.index({ status: 1, commentedAt: -1 });
+commentSchema.index({ blog_id: 1, isReply: 1, total_likes: -1 });
+
 export default mongoose.model("comments", commentSchema)
\ No newline at end of file
@@ -0,0 +1,33 @@
+import mongoose, { Schema } from "mongoose";
+
+const commentLikeSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'comments'
+    },
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'likedAt',
+        updatedAt: false
+    }
+})
+
+// a user can like a comment once, the same as blog likes
+commentLikeSchema.index({ user: 1, comment: 1 }, { unique: true });
+commentLikeSchema.index({ blog: 1 });
+
+export default mongoose.model("comment_likes", commentLikeSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+import { REPORT_REASONS } from "../Services/moderation.js";
+
+const commentReportSchema = mongoose.Schema({
+
+    comment: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'comments'
+    },
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    reported_by: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true
+    },
+    details: {
+        type: String,
+        maxlength: 500,
+        default: ""
+    },
+    resolved: {
+        type: Boolean,
+        default: false
+    },
+    resolution: {
+        // the moderation action that closed the report
+        type: String
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'reportedAt'
+    }
+})
+
+// one report per reader per comment
+commentReportSchema.index({ comment: 1, reported_by: 1 }, { unique: true });
+commentReportSchema.index({ resolved: 1, comment: 1 });
+
+export default mongoose.model("comment_reports", commentReportSchema);
\ No newline at end of file
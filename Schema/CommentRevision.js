@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+// An earlier version of a comment, saved each time the commenter edits it.
+const commentRevisionSchema = mongoose.Schema({
+
+    comment: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'comments'
+    },
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    writtenAt: {
+        // when this version was first posted or last edited
+        type: Date,
+        required: true
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'replacedAt',
+        updatedAt: false
+    }
+})
+
+commentRevisionSchema.index({ comment: 1, replacedAt: -1 });
+
+export default mongoose.model("comment_revisions", commentRevisionSchema);
\ No newline at end of file
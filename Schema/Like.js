@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose";
+
+const likeSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'likedAt',
+        updatedAt: false
+    }
+})
+
+// a user can like a blog once, this is what makes /like-blog safe to replay
+likeSchema.index({ user: 1, blog: 1 }, { unique: true });
+likeSchema.index({ blog: 1, likedAt: -1 });
+
+export default mongoose.model("likes", likeSchema);
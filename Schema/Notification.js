@@ -1,14 +1,16 @@
 import mongoose, { Schema } from "mongoose";
+import { NOTIFICATION_TYPES } from "../Services/notifications.js";
 
 const notificationSchema = mongoose.Schema({
     type: {
         type: String,
-        enum: ["like", "comment", "reply"],
+        enum: NOTIFICATION_TYPES,
         required: true
     },
     blog: {
         type: Schema.Types.ObjectId,
-        required: true,
+        // follow notifications are about a user, not a blog
+        required: function () { return this.type != "follow"; },
         ref: 'blogs'
     },
     notification_for: {
@@ -33,9 +35,28 @@ const notificationSchema = mongoose.Schema({
         type: Schema.Types.ObjectId,
         ref: 'comments'
     },
+    thread: {
+        // top level comment of the thread a comment notification is about
+        type: Schema.Types.ObjectId,
+        ref: 'comments'
+    },
     seen: {
         type: Boolean,
         default: false
+    },
+    in_app: {
+        // channels the recipient wanted this on when it was created
+        type: Boolean,
+        default: true
+    },
+    email: {
+        type: Boolean,
+        default: true
+    },
+    digest: {
+        // set once the notification has gone out in an email digest
+        type: Schema.Types.ObjectId,
+        ref: 'notification_digests'
     }
 },
 {
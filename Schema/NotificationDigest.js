@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+import { DIGEST_FREQUENCIES } from "../Services/digests.js";
+
+const notificationDigestSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users',
+        index: true
+    },
+    frequency: {
+        type: String,
+        enum: DIGEST_FREQUENCIES,
+        required: true
+    },
+    email: {
+        // the address it went to, which can change later
+        type: String,
+        required: true
+    },
+    notifications: {
+        type: [ Schema.Types.ObjectId ],
+        ref: 'notification',
+        default: []
+    },
+    sentAt: {
+        // unset while the email is being sent
+        type: Date
+    }
+
+},
+{
+    timestamps: true
+})
+
+export default mongoose.model("notification_digests", notificationDigestSchema);
\ No newline at end of file
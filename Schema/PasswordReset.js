@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+const passwordResetSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    token: {
+        // only the sha256 of the emailed token is stored
+        type: String,
+        required: true,
+        unique: true
+    },
+    used: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+
+},
+{
+    timestamps: true
+})
+
+export default mongoose.model("password_resets", passwordResetSchema);
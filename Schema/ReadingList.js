@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+const readingListSchema = mongoose.Schema({
+
+    owner: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [60, 'Reading list name should not be more than 60 characters'],
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Description should not be more than 200 characters'],
+        default: "",
+    },
+    is_public: {
+        type: Boolean,
+        default: false
+    },
+    is_default: {
+        // every user gets one "Saved" list, bookmarks go there unless told otherwise
+        type: Boolean,
+        default: false
+    },
+    items: {
+        // kept in the order the owner arranged them
+        type: [{
+            _id: false,
+            blog: {
+                type: Schema.Types.ObjectId,
+                required: true,
+                ref: 'blogs'
+            },
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        default: [],
+    }
+
+},
+{
+    timestamps: true
+})
+
+readingListSchema.index({ owner: 1, name: 1 }, { unique: true });
+readingListSchema.index({ "items.blog": 1 });
+
+export default mongoose.model("reading_lists", readingListSchema);
@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+const sessionSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    refresh_token: {
+        // sha256 of the refresh token currently issued for this session
+        type: String,
+        required: true,
+        unique: true
+    },
+    rotated_tokens: {
+        // hashes of refresh tokens already exchanged, kept to detect reuse
+        type: [String],
+        default: [],
+        index: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+
+},
+{
+    timestamps: true
+})
+
+export default mongoose.model("sessions", sessionSchema);
@@ -0,0 +1,33 @@
+import mongoose, { Schema } from "mongoose";
+
+// Precomputed by the trending job, one document per blog per window.
+const trendingScoreSchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    window: {
+        type: String,
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    tags: {
+        // copied from the blog so trending can be filtered by tag
+        type: [String]
+    },
+    computedAt: {
+        type: Date,
+        required: true
+    }
+
+})
+
+trendingScoreSchema.index({ blog: 1, window: 1 }, { unique: true });
+trendingScoreSchema.index({ window: 1, tags: 1, score: -1 });
+
+export default mongoose.model("trending_scores", trendingScoreSchema);
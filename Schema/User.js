@@ -1,4 +1,7 @@
 import mongoose, { Schema } from "mongoose";
+import { ROLES } from "../Services/permissions.js";
+import { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from "../Services/notifications.js";
+import { DIGEST_FREQUENCIES } from "../Services/digests.js";
 
 let profile_imgs_name_list = ["Garfield", "Tinkerbell", "Annie", "Loki", "Cleo", "Angel", "Bob", "Mia", "Coco", "Gracie", "Bear", "Bella", "Abby", "Harley", "Cali", "Leo", "Luna", "Jack", "Felix", "Kiki"];
 let profile_imgs_collections_list = ["notionists-neutral", "adventurer-neutral", "fun-emoji"];
@@ -40,6 +43,11 @@ const userSchema = mongoose.Schema({
         type: Boolean,
         default: false
     },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: "reader"
+    },
     social_links: {
         youtube: {
             type: String,
@@ -75,11 +83,53 @@ const userSchema = mongoose.Schema({
             type: Number,
             default: 0
         },
+        total_followers: {
+            type: Number,
+            default: 0
+        },
+        total_following: {
+            type: Number,
+            default: 0
+        },
+    },
+    following_tags: {
+        type: [String],
+        default: [],
+    },
+    notification_settings: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [
+        type,
+        Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, { type: Boolean, default: true }]))
+    ])),
+    email_digest: {
+        type: String,
+        enum: DIGEST_FREQUENCIES,
+        default: "weekly"
+    },
+    last_digest_at: Date,
+    muted_blogs: {
+        type: [ Schema.Types.ObjectId ],
+        ref: 'blogs',
+        default: [],
+    },
+    muted_threads: {
+        // top level comments, muting one covers every reply under it
+        type: [ Schema.Types.ObjectId ],
+        ref: 'comments',
+        default: [],
+    },
+    muted_users: {
+        type: [ Schema.Types.ObjectId ],
+        ref: 'users',
+        default: [],
     },
     google_auth: {
         type: Boolean,
         default: false
     },
+    email_verified: {
+        type: Boolean,
+        default: false
+    },
     blogs: {
         type: [ Schema.Types.ObjectId ],
         ref: 'blogs',
@@ -0,0 +1,319 @@
+// Readers for the archives other platforms export, used by the bulk importer.
+//
+// Each reader turns its archive into the same shape:
+//   { posts: [{ source_id, title, des, tags, banner, content, status,
+//               published, modified, author, comments, warnings }] }
+// where `status` is "publish", "future" or "draft", `author` is
+// { id, login, email, name } and every comment is
+// { source_id, parent_id, author: { id, name, email, url }, date, text }.
+// Looking up users and saving documents is left to the caller.
+
+import AdmZip from "adm-zip";
+import { parseDocument, DomUtils } from "htmlparser2";
+import { convertHTML } from "./importer.js";
+import { inlineText } from "./renderer.js";
+
+export const ARCHIVE_SOURCES = ["wordpress", "medium"];
+
+const MAX_DES_LENGTH = 200;
+const MAX_TAGS = 5;
+
+// zip archives are checked against these, by the sizes their entries
+// declare, before anything is extracted
+const MAX_ZIP_POSTS = 2000;
+const MAX_ZIP_POST_BYTES = 5 * 1024 * 1024;
+const MAX_ZIP_TOTAL_BYTES = 200 * 1024 * 1024;
+
+const child = (node, name) => (node.children || []).find((el) => el.name == name);
+
+const childText = (node, name) => {
+  const el = child(node, name);
+  return el ? DomUtils.textContent(el).trim() : "";
+};
+
+const children = (node, name) => (node.children || []).filter((el) => el.name == name);
+
+const hasClass = (node, name) => Boolean(node.attribs && (node.attribs.class || "").split(/\s+/).includes(name));
+
+const findByClass = (nodes, name) => DomUtils.findOne((el) => hasClass(el, name), nodes, true);
+
+const parseDate = (text) => {
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+// HTML that may contain markup reduced to plain text with line breaks
+const htmlText = (html) => {
+  const text = String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*/gi, "\n\n");
+
+  return DomUtils.textContent(parseDocument(text, { decodeEntities: true })).replace(/\n{3,}/g, "\n\n").trim();
+};
+
+const shorten = (text, length = MAX_DES_LENGTH) => {
+  text = text.replace(/\s+/g, " ").trim();
+  return text.length > length ? text.slice(0, length - 1).trimEnd() + "…" : text;
+};
+
+// Description and banner fall back to the first paragraph and the first
+// image, which is what the editor would have asked the author for.
+const fillPost = (post) => {
+  const blocks = post.content.blocks;
+
+  if (!post.des) {
+    const paragraph = blocks.find((block) => block.type == "paragraph" && inlineText(block.data.text).trim().length);
+    if (paragraph) post.des = shorten(inlineText(paragraph.data.text));
+  } else if (post.des.length > MAX_DES_LENGTH) {
+    post.des = shorten(post.des);
+  }
+
+  if (!post.banner) {
+    const image = blocks.find((block) => block.type == "image");
+    if (image) post.banner = image.data.file.url;
+  }
+
+  if (post.status != "draft") {
+    if (!post.banner) post.warnings.push("No banner image");
+    if (!post.des) post.warnings.push("No description");
+    if (!post.tags.length) post.warnings.push("No tags");
+  }
+
+  if (post.tags.length > MAX_TAGS) {
+    post.warnings.push(`Only the first ${MAX_TAGS} tags were kept`);
+    post.tags = post.tags.slice(0, MAX_TAGS);
+  }
+
+  return post;
+};
+
+// WordPress
+
+const WP_SKIPPED_STATUSES = ["trash", "auto-draft", "inherit"];
+const WP_SELF_CLOSING_SHORTCODES = ["gallery", "audio", "video", "playlist", "contact-form-7", "more"];
+
+// WordPress dates are "YYYY-MM-DD HH:MM:SS", with all zeros for posts that
+// were never published
+const wpDate = (text) => {
+  if (!text || text.startsWith("0000")) return null;
+  return parseDate(text.replace(" ", "T") + "Z");
+};
+
+// The classic editor stores posts without <p> tags and lets wpautop add them
+// when rendering, so do the same before converting.
+const autop = (html) => {
+  if (/<p[\s>]/i.test(html)) return html;
+
+  const kept = [];
+  const protect = (match) => `\u0000${kept.push(match) - 1}\u0000`;
+
+  return html
+    .replace(/<pre[\s\S]*?<\/pre>/gi, protect)
+    .split(/\n\s*\n/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .map((chunk) => {
+      if (/^(\u0000|<(h[1-6]|ul|ol|blockquote|pre|figure|table|div|hr|iframe|!--))/i.test(chunk)) return chunk;
+      return `<p>${chunk.replace(/\n/g, "<br>")}</p>`;
+    })
+    .join("\n")
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
+};
+
+const shortcodes = (html, warnings) => {
+  let found = false;
+
+  html = html
+    .replace(/\[caption[^\]]*\]([\s\S]*?)\[\/caption\]/g, (match, inner) => {
+      const image = /<img[^>]*>/i.exec(inner);
+      const caption = inner.replace(/<a[^>]*>\s*<img[^>]*>\s*<\/a>|<img[^>]*>/i, "").trim();
+      return image ? `<figure>${image[0]}<figcaption>${caption}</figcaption></figure>` : caption;
+    })
+    .replace(/\[embed[^\]]*\]([\s\S]*?)\[\/embed\]/g, (match, url) => `<p><a href="${url.trim()}">${url.trim()}</a></p>`)
+    .replace(/\[([a-z][\w-]*)[^\]]*\]([\s\S]*?)\[\/\1\]/g, (match, name, inner) => {
+      found = true;
+      return inner;
+    })
+    .replace(new RegExp(`\\[(${WP_SELF_CLOSING_SHORTCODES.join("|")})(\\s[^\\]]*)?\\/?\\]`, "g"), () => {
+      found = true;
+      return "";
+    });
+
+  if (found) warnings.push("WordPress shortcodes were left out");
+
+  return html;
+};
+
+const readWordPress = (buffer) => {
+  const doc = parseDocument(buffer.toString("utf8"), { xmlMode: true, decodeEntities: true });
+  const channel = DomUtils.findOne((el) => el.name == "channel", doc.children, true);
+
+  if (!channel) {
+    throw new Error("Not a WordPress export, no <channel> found");
+  }
+
+  const authors = children(channel, "wp:author").map((author) => ({
+    id: childText(author, "wp:author_id"),
+    login: childText(author, "wp:author_login"),
+    email: childText(author, "wp:author_email").toLowerCase(),
+    name: childText(author, "wp:author_display_name"),
+  }));
+
+  const items = children(channel, "item");
+
+  const attachments = new Map(
+    items
+      .filter((item) => childText(item, "wp:post_type") == "attachment")
+      .map((item) => [childText(item, "wp:post_id"), childText(item, "wp:attachment_url")])
+  );
+
+  const posts = items
+    .filter((item) => childText(item, "wp:post_type") == "post")
+    .filter((item) => !WP_SKIPPED_STATUSES.includes(childText(item, "wp:status")))
+    .map((item) => {
+      const warnings = [];
+      const source_id = childText(item, "guid") || childText(item, "wp:post_id");
+      const login = childText(item, "dc:creator");
+
+      const html = autop(shortcodes(childText(item, "content:encoded"), warnings));
+      const converted = convertHTML(html);
+
+      const thumbnail = children(item, "wp:postmeta").find((meta) => childText(meta, "wp:meta_key") == "_thumbnail_id");
+
+      const tags = [
+        ...new Set(
+          children(item, "category")
+            .filter((category) => ["post_tag", "category"].includes(category.attribs.domain))
+            .map((category) => DomUtils.textContent(category).trim().toLowerCase())
+            .filter((tag) => tag && tag != "uncategorized")
+        ),
+      ];
+
+      const wpStatus = childText(item, "wp:status");
+
+      const comments = children(item, "wp:comment")
+        .filter((comment) => childText(comment, "wp:comment_approved") == "1")
+        .filter((comment) => !["pingback", "trackback"].includes(childText(comment, "wp:comment_type")))
+        .map((comment) => {
+          const parent = childText(comment, "wp:comment_parent");
+
+          return {
+            source_id: `${source_id}#comment-${childText(comment, "wp:comment_id")}`,
+            parent_id: parent && parent != "0" ? `${source_id}#comment-${parent}` : null,
+            author: {
+              id: childText(comment, "wp:comment_user_id"),
+              name: childText(comment, "wp:comment_author"),
+              email: childText(comment, "wp:comment_author_email").toLowerCase(),
+              url: childText(comment, "wp:comment_author_url"),
+            },
+            date: wpDate(childText(comment, "wp:comment_date_gmt")) || parseDate(childText(comment, "wp:comment_date")),
+            text: htmlText(childText(comment, "wp:comment_content")),
+          };
+        })
+        .filter((comment) => comment.text.length);
+
+      return fillPost({
+        source_id,
+        title: childText(item, "title"),
+        des: htmlText(childText(item, "excerpt:encoded")),
+        tags,
+        banner: thumbnail ? attachments.get(childText(thumbnail, "wp:meta_value")) || "" : "",
+        content: { time: Date.now(), blocks: converted.blocks },
+        status: wpStatus == "publish" ? "publish" : wpStatus == "future" ? "future" : "draft",
+        published: wpDate(childText(item, "wp:post_date_gmt")) || parseDate(childText(item, "pubDate")),
+        modified: wpDate(childText(item, "wp:post_modified_gmt")),
+        author: authors.find((author) => author.login == login) || { login },
+        comments,
+        warnings: [...warnings, ...converted.warnings],
+      });
+    });
+
+  return { posts };
+};
+
+// Medium
+
+// Medium exports one HTML page per post under posts/, drafts prefixed with
+// "draft_". The export has no tags, and responses are exported as posts of
+// their own with nothing marking them as responses, so there are no comments.
+const readMediumPost = (name, html) => {
+  const doc = parseDocument(html, { decodeEntities: true });
+  const nodes = doc.children;
+
+  const titleNode = findByClass(nodes, "p-name") || DomUtils.findOne((el) => el.name == "title", nodes, true);
+  const title = titleNode ? DomUtils.textContent(titleNode).trim() : "";
+
+  const subtitle = DomUtils.findOne((el) => el.attribs["data-field"] == "subtitle", nodes, true);
+  const body = DomUtils.findOne((el) => el.attribs["data-field"] == "body", nodes, true);
+  const canonical = findByClass(nodes, "p-canonical");
+  const published = findByClass(nodes, "dt-published");
+  const author = findByClass(nodes, "p-author");
+
+  const des = subtitle ? DomUtils.textContent(subtitle).trim() : "";
+
+  // every section opens with a divider, which is layout rather than content
+  DomUtils.findAll((el) => el.name == "hr" && hasClass(el, "section-divider"), nodes).forEach(DomUtils.removeElement);
+
+  const converted = convertHTML(body ? body.children : []);
+
+  // the body starts with the title and subtitle again as headings
+  const plain = (text) => inlineText(text).replace(/\s+/g, " ").trim();
+  const blocks = converted.blocks.filter((block, index) => {
+    if (index > 1 || block.type != "header") return true;
+    return ![title, des].includes(plain(block.data.text));
+  });
+
+  const login = author ? (/@([^/?#]+)/.exec(author.attribs.href || "") || [])[1] : undefined;
+
+  return fillPost({
+    source_id: (canonical && canonical.attribs.href) || name,
+    title,
+    des,
+    tags: [],
+    banner: "",
+    content: { time: Date.now(), blocks },
+    status: /(^|\/)draft_/.test(name) ? "draft" : "publish",
+    published: published ? parseDate(published.attribs.datetime) : null,
+    modified: null,
+    author: { login, name: author ? DomUtils.textContent(author).trim() : undefined },
+    comments: [],
+    warnings: converted.warnings,
+  });
+};
+
+const readMedium = (buffer) => {
+  let entries;
+
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (err) {
+    throw new Error("Not a zip archive");
+  }
+
+  const postEntries = entries.filter((entry) => !entry.isDirectory && /(^|\/)posts\/[^/]+\.html$/.test(entry.entryName));
+
+  if (postEntries.length > MAX_ZIP_POSTS) {
+    throw new Error(`The archive has more than ${MAX_ZIP_POSTS} posts`);
+  }
+
+  const tooBig = postEntries.find((entry) => entry.header.size > MAX_ZIP_POST_BYTES);
+  if (tooBig) {
+    throw new Error(`${tooBig.entryName} is larger than ${MAX_ZIP_POST_BYTES / 1024 / 1024} MB`);
+  }
+
+  if (postEntries.reduce((total, entry) => total + entry.header.size, 0) > MAX_ZIP_TOTAL_BYTES) {
+    throw new Error(`The posts in the archive add up to more than ${MAX_ZIP_TOTAL_BYTES / 1024 / 1024} MB`);
+  }
+
+  const posts = postEntries.map((entry) => readMediumPost(entry.entryName.split("/").pop(), entry.getData().toString("utf8")));
+
+  if (!posts.length) {
+    throw new Error("Not a Medium export, no posts/ folder found");
+  }
+
+  return { posts };
+};
+
+const readers = { wordpress: readWordPress, medium: readMedium };
+
+export const readArchive = (source, buffer) => readers[source](buffer);
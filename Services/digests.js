@@ -0,0 +1,172 @@
+// Email digests of the notifications a user hasn't seen yet.
+//
+// renderDigest takes populated notifications (blog, user, comment, reply and
+// replied_on_comment) and turns them into a { subject, text, html } email:
+// one section per blog with its likes, comments, replies and mentions, then
+// new followers. Picking who is due and recording what was sent is left to the
+// caller.
+//
+//   links = { blog(blog_id), user(username), notifications, unsubscribe }
+
+import { escapeHTML } from "./renderer.js";
+
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DIGEST_PERIODS = { daily: DAY, weekly: 7 * DAY };
+
+// anything past this is summed up as "and N more" with a link to the site
+const MAX_ITEMS = 50;
+const MAX_QUOTE_LENGTH = 140;
+const NAMES_SHOWN = 2;
+
+const quote = (text) => {
+  text = String(text || "").replace(/\s+/g, " ").trim();
+  return `“${text.length > MAX_QUOTE_LENGTH ? text.slice(0, MAX_QUOTE_LENGTH - 1).trimEnd() + "…" : text}”`;
+};
+
+const nameOf = (user) => (user && (user.personal_info.fullname || user.personal_info.username)) || "Someone";
+
+// "ann", "ann and bob" or "ann, bob and 3 others", as text and as linked HTML
+const people = (users, links) => {
+  const unique = users.filter(
+    (user, index) => !user || users.findIndex((other) => other && String(other._id) == String(user._id)) == index
+  );
+
+  const shown = unique.slice(0, unique.length > NAMES_SHOWN + 1 ? NAMES_SHOWN : unique.length);
+  const others = unique.length - shown.length;
+
+  const join = (names) => {
+    if (others) names = [...names, `${others} others`];
+    return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+  };
+
+  return {
+    text: join(shown.map(nameOf)),
+    html: join(shown.map((user) => user
+      ? `<a href="${escapeHTML(links.user(user.personal_info.username))}">${escapeHTML(nameOf(user))}</a>`
+      : "Someone")),
+  };
+};
+
+const line = (text, html) => ({ text, html });
+
+const blogLines = (notifications, links) => {
+  const ofType = (type) => notifications.filter((notification) => notification.type == type);
+  const lines = [];
+
+  const likes = ofType("like");
+  if (likes.length) {
+    const who = people(likes.map((notification) => notification.user), links);
+    lines.push(line(`${who.text} liked your blog`, `${who.html} liked your blog`));
+  }
+
+  ofType("comment").forEach((notification) => {
+    const who = people([notification.user], links);
+    const text = quote(notification.comment && notification.comment.comment);
+    lines.push(line(`${who.text} commented: ${text}`, `${who.html} commented: ${escapeHTML(text)}`));
+  });
+
+  ofType("reply").forEach((notification) => {
+    const who = people([notification.user], links);
+    const on = quote(notification.replied_on_comment && notification.replied_on_comment.comment);
+    const text = quote(notification.reply && notification.reply.comment);
+    lines.push(line(
+      `${who.text} replied to your comment ${on}: ${text}`,
+      `${who.html} replied to your comment ${escapeHTML(on)}: ${escapeHTML(text)}`
+    ));
+  });
+
+  // comment likes grouped per comment
+  const commentLikes = new Map();
+  ofType("comment_like").forEach((notification) => {
+    const key = String(notification.comment && notification.comment._id);
+    if (!commentLikes.has(key)) commentLikes.set(key, []);
+    commentLikes.get(key).push(notification);
+  });
+  commentLikes.forEach((group) => {
+    const who = people(group.map((notification) => notification.user), links);
+    const text = quote(group[0].comment && group[0].comment.comment);
+    lines.push(line(`${who.text} liked your comment ${text}`, `${who.html} liked your comment ${escapeHTML(text)}`));
+  });
+
+  ofType("mention").forEach((notification) => {
+    const who = people([notification.user], links);
+
+    if (!notification.comment) {
+      lines.push(line(`${who.text} mentioned you in this blog`, `${who.html} mentioned you in this blog`));
+      return;
+    }
+
+    const text = quote(notification.comment.comment);
+    lines.push(line(`${who.text} mentioned you in a comment: ${text}`, `${who.html} mentioned you in a comment: ${escapeHTML(text)}`));
+  });
+
+  return lines;
+};
+
+export const renderDigest = ({ user, notifications, frequency, links }) => {
+  const shown = notifications.slice(0, MAX_ITEMS);
+  const more = notifications.length - shown.length;
+
+  const sections = [];
+
+  const byBlog = new Map();
+  shown.filter((notification) => notification.blog).forEach((notification) => {
+    const key = String(notification.blog._id);
+    if (!byBlog.has(key)) byBlog.set(key, { blog: notification.blog, notifications: [] });
+    byBlog.get(key).notifications.push(notification);
+  });
+
+  byBlog.forEach(({ blog, notifications }) => {
+    const lines = blogLines(notifications, links);
+    if (lines.length) sections.push({ title: blog.title, link: links.blog(blog.blog_id), lines });
+  });
+
+  const follows = shown.filter((notification) => notification.type == "follow");
+  if (follows.length) {
+    const who = people(follows.map((notification) => notification.user), links);
+    sections.push({
+      title: "New followers",
+      link: null,
+      lines: [line(`${who.text} started following you`, `${who.html} started following you`)],
+    });
+  }
+
+  const period = frequency == "daily" ? "today" : "this week";
+  const count = notifications.length;
+  const subject = `${count} new notification${count == 1 ? "" : "s"} ${period}`;
+  const greeting = `Hi ${user.personal_info.fullname},`;
+  const intro = `Here is what you missed ${period}.`;
+  const moreText = more ? `And ${more} more on the site: ${links.notifications}` : `See them all: ${links.notifications}`;
+  const footer = `You get this email ${frequency}. Unsubscribe from these emails: ${links.unsubscribe}`;
+
+  const text = [
+    greeting,
+    intro,
+    ...sections.map((section) => [
+      section.link ? `${section.title}\n${section.link}` : section.title,
+      ...section.lines.map((item) => `- ${item.text}`),
+    ].join("\n")),
+    moreText,
+    footer,
+  ].join("\n\n");
+
+  const html = [
+    `<p>${escapeHTML(greeting)}</p>`,
+    `<p>${escapeHTML(intro)}</p>`,
+    ...sections.map((section) => [
+      section.link
+        ? `<h3><a href="${escapeHTML(section.link)}">${escapeHTML(section.title)}</a></h3>`
+        : `<h3>${escapeHTML(section.title)}</h3>`,
+      `<ul>${section.lines.map((item) => `<li>${item.html}</li>`).join("")}</ul>`,
+    ].join("")),
+    more
+      ? `<p><a href="${escapeHTML(links.notifications)}">And ${more} more on the site</a></p>`
+      : `<p><a href="${escapeHTML(links.notifications)}">See all notifications</a></p>`,
+    `<p style="color:#888;font-size:12px">You get this email ${frequency}. <a href="${escapeHTML(links.unsubscribe)}">Unsubscribe</a></p>`,
+  ].join("\n");
+
+  return { subject, text, html };
+};
@@ -0,0 +1,118 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 serializers.
+//
+// Every builder takes the same feed description:
+//   feed  = { title, description, link, self, updated }
+//   items = [{ id, url, title, summary, content_html, image, tags,
+//              published, updated, author: { name, url } }]
+// and returns { type, body } ready to send. content_html is optional, without
+// it readers only get the summary.
+
+export const FEED_FORMATS = ["rss", "atom", "json"];
+
+const escapeXML = (text) => {
+  return String(text == null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+// CDATA can't contain "]]>", so split it across two sections
+const cdata = (text) => `<![CDATA[${String(text || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+const buildRSS = (feed, items) => {
+  const entries = items.map((item) => [
+    "    <item>",
+    `      <title>${escapeXML(item.title)}</title>`,
+    `      <link>${escapeXML(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXML(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${escapeXML(item.author.name)}</dc:creator>` : "",
+    ...(item.tags || []).map((tag) => `      <category>${escapeXML(tag)}</category>`),
+    `      <description>${escapeXML(item.summary)}</description>`,
+    item.content_html ? `      <content:encoded>${cdata(item.content_html)}</content:encoded>` : "",
+    "    </item>",
+  ].filter(Boolean).join("\n"));
+
+  const body = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${escapeXML(feed.title)}</title>`,
+    `    <link>${escapeXML(feed.link)}</link>`,
+    `    <description>${escapeXML(feed.description)}</description>`,
+    `    <atom:link href="${escapeXML(feed.self)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...entries,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+
+  return { type: "application/rss+xml; charset=utf-8", body };
+};
+
+const buildAtom = (feed, items) => {
+  const entries = items.map((item) => [
+    "  <entry>",
+    `    <title>${escapeXML(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXML(item.url)}" />`,
+    `    <id>${escapeXML(item.id)}</id>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    item.author
+      ? `    <author><name>${escapeXML(item.author.name)}</name><uri>${escapeXML(item.author.url)}</uri></author>`
+      : "",
+    ...(item.tags || []).map((tag) => `    <category term="${escapeXML(tag)}" />`),
+    `    <summary>${escapeXML(item.summary)}</summary>`,
+    item.content_html ? `    <content type="html">${escapeXML(item.content_html)}</content>` : "",
+    "  </entry>",
+  ].filter(Boolean).join("\n"));
+
+  const body = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXML(feed.title)}</title>`,
+    `  <subtitle>${escapeXML(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXML(feed.link)}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXML(feed.self)}" />`,
+    `  <id>${escapeXML(feed.self)}</id>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+
+  return { type: "application/atom+xml; charset=utf-8", body };
+};
+
+const buildJSONFeed = (feed, items) => {
+  const body = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.link,
+    feed_url: feed.self,
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.content_html,
+      // JSON Feed items need content, the summary stands in without the full text
+      content_text: item.content_html ? undefined : item.summary,
+      image: item.image || undefined,
+      tags: item.tags,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: item.author ? [item.author] : undefined,
+    })),
+  };
+
+  return { type: "application/feed+json; charset=utf-8", body: JSON.stringify(body) };
+};
+
+const builders = { rss: buildRSS, atom: buildAtom, json: buildJSONFeed };
+
+export const buildFeed = (format, feed, items) => builders[format](feed, items);
@@ -0,0 +1,483 @@
+// Converts Markdown and HTML documents into Editor.js blocks.
+//
+// Markdown is turned into HTML by marked first, so both formats go through
+// the same HTML walker. Every element that can't be mapped onto one of the
+// block types we use (paragraph, header, list, quote, image, code, embed)
+// adds a warning, and its text is kept as a paragraph where there is any.
+
+import { parseDocument } from "htmlparser2";
+import { marked } from "marked";
+import { nanoid } from "nanoid";
+import { escapeHTML, inlineText } from "./renderer.js";
+
+const MAX_DES_LENGTH = 200;
+
+const CONTAINER_TAGS = ["html", "body", "main", "article", "section", "div", "header", "footer", "aside", "nav", "center"];
+const DROPPED_TAGS = ["head", "title", "meta", "link", "script", "style", "noscript", "template", "svg", "form", "button", "input"];
+const INLINE_MARKS = {
+  b: "b", strong: "b",
+  i: "i", em: "i", cite: "i",
+  u: "u",
+  s: "s", del: "s", strike: "s",
+  code: "code", kbd: "code", samp: "code",
+  mark: "mark",
+  sub: "sub", sup: "sup",
+};
+const INLINE_TAGS = [...Object.keys(INLINE_MARKS), "a", "span", "font", "small", "big", "abbr", "time", "br", "img", "ins", "q", "label"];
+
+const EMBED_SERVICES = [
+  ["youtube", /(^|\.)(youtube\.com|youtu\.be|youtube-nocookie\.com)$/],
+  ["vimeo", /(^|\.)vimeo\.com$/],
+  ["twitter", /(^|\.)(twitter\.com|x\.com)$/],
+  ["codepen", /(^|\.)codepen\.io$/],
+  ["gist", /(^|\.)gist\.github\.com$/],
+  ["instagram", /(^|\.)instagram\.com$/],
+];
+
+const block = (type, data) => ({ id: nanoid(10), type, data });
+
+const isTag = (node) => node.type == "tag" || node.type == "script" || node.type == "style";
+
+const textContent = (node) => {
+  if (node.type == "text") return node.data;
+  if (node.type == "cdata") return (node.children || []).map(textContent).join("");
+  if (!node.children || node.name == "br") return node.name == "br" ? "\n" : "";
+  return node.children.map(textContent).join("");
+};
+
+const httpURL = (url) => {
+  try {
+    const parsed = new URL(String(url || "").trim());
+    return ["http:", "https:"].includes(parsed.protocol) ? parsed.href : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const collapse = (html) => html.replace(/\s+/g, " ").trim();
+
+// Small YAML subset found in front matter: `key: value`, quoted strings,
+// inline `[a, b]` lists and `- item` lists under a key.
+export const parseFrontMatter = (source) => {
+  const match = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(\r?\n|$)/.exec(source);
+
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  const data = {};
+  let listKey = null;
+
+  const scalar = (value) => {
+    value = value.trim();
+    if (/^".*"$/.test(value)) return value.slice(1, -1).replace(/\\"/g, '"');
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    return value;
+  };
+
+  match[1].split(/\r?\n/).forEach((line) => {
+    const item = /^\s+-\s+(.*)$/.exec(line) || /^-\s+(.*)$/.exec(line);
+
+    if (item && listKey) {
+      data[listKey].push(scalar(item[1]));
+      return;
+    }
+
+    const pair = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/.exec(line);
+    if (!pair) return;
+
+    const key = pair[1].toLowerCase();
+    const value = pair[2].trim();
+
+    if (!value.length) {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      data[key] = value.slice(1, -1).split(",").map(scalar).filter(Boolean);
+      listKey = null;
+    } else {
+      data[key] = scalar(value);
+      listKey = null;
+    }
+  });
+
+  return { data, body: source.slice(match[0].length) };
+};
+
+const pickMeta = (data) => {
+  const first = (...keys) => keys.map((key) => data[key]).find((value) => value != null && value !== "");
+  const asList = (value) => (Array.isArray(value) ? value : value ? String(value).split(",") : []);
+
+  return {
+    title: first("title"),
+    des: first("description", "des", "summary", "excerpt", "subtitle"),
+    tags: asList(first("tags", "categories", "keywords")).map((tag) => String(tag).trim()).filter(Boolean),
+    banner: first("banner", "cover", "cover_image", "image"),
+  };
+};
+
+class Converter {
+  constructor() {
+    this.blocks = [];
+    this.warnings = [];
+    this.warned = new Set();
+    this.pendingInline = [];
+    this.meta = {};
+  }
+
+  warn(message) {
+    if (!this.warned.has(message)) {
+      this.warned.add(message);
+      this.warnings.push(message);
+    }
+  }
+
+  // Inline HTML for Editor.js: the whitelisted marks and links survive,
+  // images are pulled out into their own blocks after the current one.
+  inline(nodes, images) {
+    return nodes
+      .map((node) => {
+        if (node.type == "text") return escapeHTML(node.data).replace(/&#39;/g, "'").replace(/&quot;/g, '"');
+        if (!isTag(node)) return "";
+
+        const name = node.name.toLowerCase();
+
+        if (DROPPED_TAGS.includes(name)) return "";
+        if (name == "br") return "<br>";
+
+        if (name == "img") {
+          images.push(node);
+          return "";
+        }
+
+        const inner = this.inline(node.children || [], images);
+
+        if (name == "a") {
+          const href = httpURL(node.attribs.href) || (/^mailto:/i.test(node.attribs.href || "") ? node.attribs.href : null);
+          return href ? `<a href="${escapeHTML(href)}">${inner}</a>` : inner;
+        }
+
+        if (INLINE_MARKS[name]) {
+          const tag = INLINE_MARKS[name];
+          return inner.trim().length ? `<${tag}>${inner}</${tag}>` : inner;
+        }
+
+        if (name == "q") return `"${inner}"`;
+
+        if (!INLINE_TAGS.includes(name)) {
+          this.warn(`<${name}> inside text was kept as plain text`);
+        }
+
+        return inner;
+      })
+      .join("");
+  }
+
+  imageBlock(node, caption = "") {
+    const url = httpURL(node.attribs.src);
+
+    if (!url) {
+      this.warn("Images without an http(s) address were left out");
+      return null;
+    }
+
+    return block("image", {
+      file: { url },
+      caption: caption || escapeHTML(node.attribs.alt || node.attribs.title || ""),
+      withBorder: false,
+      stretched: false,
+      withBackground: false,
+    });
+  }
+
+  embedBlock(node, caption = "") {
+    const url = httpURL(node.attribs.src);
+
+    if (!url) {
+      this.warn("Embeds without an http(s) address were left out");
+      return null;
+    }
+
+    const host = new URL(url).hostname;
+    const service = (EMBED_SERVICES.find(([, pattern]) => pattern.test(host)) || [host])[0];
+
+    return block("embed", {
+      service,
+      source: url,
+      embed: url,
+      width: Number(node.attribs.width) || 580,
+      height: Number(node.attribs.height) || 320,
+      caption,
+    });
+  }
+
+  // text and inline elements sitting directly in a container are gathered
+  // up and written out as one paragraph
+  flushInline() {
+    if (!this.pendingInline.length) return;
+
+    const nodes = this.pendingInline;
+    this.pendingInline = [];
+    this.paragraph(nodes);
+  }
+
+  paragraph(nodes) {
+    const images = [];
+    const text = collapse(this.inline(nodes, images));
+
+    if (text.replace(/<br>/g, "").trim().length) {
+      this.blocks.push(block("paragraph", { text }));
+    }
+
+    images.forEach((image) => {
+      const imageBlock = this.imageBlock(image);
+      if (imageBlock) this.blocks.push(imageBlock);
+    });
+  }
+
+  listItems(listNode) {
+    return (listNode.children || [])
+      .filter((node) => isTag(node) && node.name == "li")
+      .map((li) => {
+        const nested = [];
+        const images = [];
+        const inlineNodes = [];
+
+        (li.children || []).forEach((child) => {
+          if (isTag(child) && ["ul", "ol"].includes(child.name)) {
+            nested.push(...this.listItems(child));
+          } else if (isTag(child) && child.name == "p") {
+            // loose lists wrap their items in <p>
+            if (inlineNodes.length) inlineNodes.push({ type: "tag", name: "br", attribs: {}, children: [] });
+            inlineNodes.push(...(child.children || []));
+          } else {
+            inlineNodes.push(child);
+          }
+        });
+
+        const content = collapse(this.inline(inlineNodes, images));
+
+        if (images.length) {
+          this.warn("Images inside list items were left out");
+        }
+
+        return { content, items: nested };
+      });
+  }
+
+  element(node) {
+    const name = node.name.toLowerCase();
+
+    if (DROPPED_TAGS.includes(name)) {
+      if (name == "title") this.meta.title = this.meta.title || collapse(textContent(node));
+      if (name == "meta") {
+        const key = (node.attribs.name || node.attribs.property || "").toLowerCase();
+        if (["description", "og:description"].includes(key)) this.meta.des = this.meta.des || node.attribs.content;
+        if (key == "keywords") this.meta.tags = this.meta.tags || node.attribs.content;
+      }
+      if (name == "head") (node.children || []).forEach((child) => isTag(child) && this.element(child));
+      return;
+    }
+
+    if (INLINE_TAGS.includes(name) && name != "img") {
+      this.pendingInline.push(node);
+      return;
+    }
+
+    this.flushInline();
+
+    if (/^h[1-6]$/.test(name)) {
+      const images = [];
+      const text = collapse(this.inline(node.children || [], images));
+      if (text.length) this.blocks.push(block("header", { text, level: Number(name[1]) }));
+      return;
+    }
+
+    switch (name) {
+      case "p":
+        this.paragraph(node.children || []);
+        return;
+
+      case "ul":
+      case "ol": {
+        const items = this.listItems(node);
+        if (items.length) {
+          this.blocks.push(block("list", { style: name == "ol" ? "ordered" : "unordered", items }));
+        }
+        return;
+      }
+
+      case "blockquote": {
+        const images = [];
+        const captionNode = (node.children || []).find((child) => isTag(child) && ["cite", "footer"].includes(child.name));
+        const parts = (node.children || [])
+          .filter((child) => child != captionNode)
+          .map((child) => (isTag(child) && child.name == "p" ? this.inline(child.children || [], images) : this.inline([child], images)))
+          .map(collapse)
+          .filter(Boolean);
+
+        if (images.length) this.warn("Images inside quotes were left out");
+
+        this.blocks.push(block("quote", {
+          text: parts.join("<br>"),
+          caption: captionNode ? collapse(this.inline(captionNode.children || [], [])) : "",
+          alignment: "left",
+        }));
+        return;
+      }
+
+      case "pre":
+        this.blocks.push(block("code", { code: textContent(node).replace(/\n$/, "") }));
+        return;
+
+      case "img": {
+        const imageBlock = this.imageBlock(node);
+        if (imageBlock) this.blocks.push(imageBlock);
+        return;
+      }
+
+      case "iframe": {
+        const embed = this.embedBlock(node);
+        if (embed) this.blocks.push(embed);
+        return;
+      }
+
+      case "figure": {
+        const figcaption = (node.children || []).find((child) => isTag(child) && child.name == "figcaption");
+        const caption = figcaption ? collapse(this.inline(figcaption.children || [], [])) : "";
+        const media = [];
+        const findMedia = (nodes) => nodes.forEach((child) => {
+          if (!isTag(child)) return;
+          if (["img", "iframe"].includes(child.name)) media.push(child);
+          else findMedia(child.children || []);
+        });
+        findMedia((node.children || []).filter((child) => child != figcaption));
+
+        if (!media.length) {
+          (node.children || []).forEach((child) => this.node(child));
+          this.flushInline();
+          return;
+        }
+
+        media.forEach((child, index) => {
+          const mediaCaption = index == media.length - 1 ? caption : "";
+          const result = child.name == "img" ? this.imageBlock(child, mediaCaption) : this.embedBlock(child, mediaCaption);
+          if (result) this.blocks.push(result);
+        });
+        return;
+      }
+
+      case "hr":
+        this.warn("Horizontal rules were left out");
+        return;
+
+      case "table": {
+        this.warn("Tables are not supported, their rows were kept as paragraphs");
+        const rows = [];
+        const findRows = (nodes) => nodes.forEach((child) => {
+          if (!isTag(child)) return;
+          if (child.name == "tr") rows.push(child);
+          else findRows(child.children || []);
+        });
+        findRows(node.children || []);
+
+        rows.forEach((row) => {
+          const cells = (row.children || [])
+            .filter((cell) => isTag(cell) && ["td", "th"].includes(cell.name))
+            .map((cell) => collapse(this.inline(cell.children || [], [])));
+          if (cells.some(Boolean)) this.blocks.push(block("paragraph", { text: cells.join(" | ") }));
+        });
+        return;
+      }
+
+      case "dl":
+        this.warn("Definition lists were converted to paragraphs");
+        (node.children || []).forEach((child) => isTag(child) && this.paragraph(child.children || []));
+        return;
+
+      default:
+        if (!CONTAINER_TAGS.includes(name)) {
+          this.warn(`<${name}> elements are not supported and were unwrapped`);
+        }
+        (node.children || []).forEach((child) => this.node(child));
+        this.flushInline();
+    }
+  }
+
+  node(node) {
+    if (node.type == "text") {
+      if (node.data.trim().length || this.pendingInline.length) this.pendingInline.push(node);
+      return;
+    }
+
+    if (isTag(node)) {
+      this.element(node);
+    }
+  }
+
+  // takes an HTML string or nodes that were already parsed
+  convert(html) {
+    const nodes = typeof html == "string" ? parseDocument(html, { decodeEntities: true }).children : html;
+    nodes.forEach((node) => this.node(node));
+    this.flushInline();
+    return this;
+  }
+}
+
+// Shared by both formats: front matter first, then the first <h1> as title
+// when no title was given, then the description and tags limits.
+const finish = (converter, frontMatter) => {
+  const meta = { ...pickMeta(converter.meta), ...Object.fromEntries(Object.entries(pickMeta(frontMatter)).filter(([, value]) => value && value.length)) };
+  let blocks = converter.blocks;
+
+  if (!meta.title) {
+    const heading = blocks.find((b) => b.type == "header");
+    if (heading && heading.data.level == 1) {
+      meta.title = inlineText(heading.data.text).trim();
+      blocks = blocks.filter((b) => b != heading);
+    }
+  }
+
+  if (meta.des && meta.des.length > MAX_DES_LENGTH) {
+    converter.warn(`The description was cut to ${MAX_DES_LENGTH} characters`);
+    meta.des = meta.des.slice(0, MAX_DES_LENGTH - 1).trimEnd() + "…";
+  }
+
+  if (meta.tags.length > 5) {
+    converter.warn("Only the first 5 tags were kept");
+  }
+
+  if (meta.banner && !httpURL(meta.banner)) {
+    converter.warn("The banner image needs an http(s) address and was left out");
+    meta.banner = "";
+  }
+
+  return {
+    title: meta.title || "",
+    des: meta.des || "",
+    tags: meta.tags.slice(0, 5).map((tag) => tag.toLowerCase()),
+    banner: meta.banner || "",
+    content: { time: Date.now(), blocks },
+    warnings: converter.warnings,
+  };
+};
+
+export const htmlToBlocks = (source) => {
+  const { data, body } = parseFrontMatter(String(source || ""));
+  return finish(new Converter().convert(body), data);
+};
+
+export const markdownToBlocks = (source) => {
+  const { data, body } = parseFrontMatter(String(source || ""));
+  const html = marked.parse(body, { gfm: true, async: false });
+  return finish(new Converter().convert(html), data);
+};
+
+// Just the blocks, for callers that find the title and description
+// themselves (see Services/archives.js).
+export const convertHTML = (html) => {
+  const { blocks, warnings } = new Converter().convert(html);
+  return { blocks, warnings };
+};
+
+export const IMPORT_FORMATS = { markdown: markdownToBlocks, html: htmlToBlocks };
@@ -0,0 +1,94 @@
+import nodemailer from "nodemailer";
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import os from "os";
+
+// Which transport is used is decided by MAIL_TRANSPORT:
+//   smtp    - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - every message is written as an .eml file into MAIL_DIR
+//   console - the message is printed to the terminal
+// When MAIL_TRANSPORT is not set we use smtp if SMTP_HOST exists, otherwise console.
+
+const MAIL_FROM = process.env.MAIL_FROM || "Sterkspruit <no-reply@sterkspruit.local>";
+const MAIL_DIR = process.env.MAIL_DIR || path.join(os.tmpdir(), "sterkspruit-mail");
+
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE == "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+const fileTransport = (dir = MAIL_DIR) => {
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.@-]/g, "")}.eml`;
+
+      await mkdir(dir, { recursive: true });
+      await writeFile(path.join(dir, fileName), info.message);
+
+      console.log(`Mail to ${message.to} written to ${path.join(dir, fileName)}`);
+      return info;
+    },
+  };
+};
+
+const consoleTransport = () => {
+  return {
+    send: async (message) => {
+      console.log(`---- mail to ${message.to} ----`);
+      console.log(`Subject: ${message.subject}\n`);
+      console.log(message.text);
+      console.log("---- end of mail ----");
+      return { messageId: null };
+    },
+  };
+};
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+const defaultTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transports[name]();
+};
+
+let transport = null;
+
+// Swap the transport, e.g. to capture messages in tests. Anything with a
+// `send(message)` method returning a promise will do.
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const sendMail = ({ to, subject, text, html, headers }) => {
+  if (!transport) {
+    transport = defaultTransport();
+  }
+
+  return transport.send({ from: MAIL_FROM, to, subject, text, html, headers });
+};
+
+export { smtpTransport, fileTransport, consoleTransport };
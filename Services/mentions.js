@@ -0,0 +1,78 @@
+// @username mentions in comments and blog paragraphs.
+//
+// findMentions works on plain comment text as well as the inline HTML of
+// Editor.js paragraphs, where tags and inline code are skipped. Offsets are
+// into the string as it is stored, so clients can turn mentions into links
+// without parsing anything themselves.
+
+import { getBlocks } from "./renderer.js";
+
+// users notified per comment or blog, the rest are left as plain text
+export const MAX_MENTIONS = Number(process.env.MAX_MENTIONS || 10);
+
+// not straight after a letter, digit or @, so email addresses don't count
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_.@/-])@([A-Za-z0-9_][A-Za-z0-9_.+-]*)/gu;
+
+const scan = (text, offset, found) => {
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // "thanks @ann." mentions ann
+    const username = match[1].replace(/[.+-]+$/, "");
+    const start = offset + match.index;
+
+    if (username.length) found.push({ username, start, end: start + username.length + 1 });
+  }
+};
+
+// [{ username, start, end }] in the order they appear
+export const findMentions = (text, { html = false } = {}) => {
+  const found = [];
+  text = String(text || "");
+
+  if (!html) {
+    scan(text, 0, found);
+    return found;
+  }
+
+  let offset = 0;
+  let inCode = false;
+
+  // odd parts are the tags themselves
+  text.split(/(<[^>]*>)/).forEach((part, index) => {
+    if (index % 2) {
+      if (/^<code[\s>]/i.test(part)) inCode = true;
+      if (/^<\/code\s*>/i.test(part)) inCode = false;
+    } else if (!inCode) {
+      scan(part, offset, found);
+    }
+    offset += part.length;
+  });
+
+  return found;
+};
+
+// Mentions in a blog's paragraph blocks, each with the index of its block.
+export const paragraphMentions = (content) => {
+  return getBlocks(content).flatMap((block, index) => {
+    if (block.type != "paragraph" || !block.data) return [];
+    return findMentions(block.data.text, { html: true }).map((mention) => ({ block: index, ...mention }));
+  });
+};
+
+export const mentionedUsernames = (mentions) => {
+  return [...new Set(mentions.map((mention) => mention.username))].slice(0, MAX_MENTIONS);
+};
+
+// Mentions of users that exist, with who each one links to. `users` are the
+// resolved users with their personal_info, `link(username)` their page.
+export const mentionLinks = (mentions, users, link) => {
+  const byUsername = new Map(
+    users.filter(Boolean).map((user) => [user.personal_info.username, user.personal_info])
+  );
+
+  return mentions
+    .filter((mention) => byUsername.has(mention.username))
+    .map((mention) => {
+      const { fullname, profile_img } = byUsername.get(mention.username);
+      return { ...mention, fullname, profile_img, url: link(mention.username) };
+    });
+};
@@ -0,0 +1,90 @@
+// Comment moderation: the states a comment moves through, the reasons readers
+// can report one for, and the blocklist that holds new comments for review.
+//
+// The blocklist comes from COMMENT_BLOCKLIST (comma separated) and/or
+// COMMENT_BLOCKLIST_FILE (one entry per line, `#` starts a comment). Entries
+// with a dot are link domains and match that domain and its subdomains,
+// anything else is a word or phrase matched on word boundaries. Comments
+// with more than COMMENT_MAX_LINKS links are held as well.
+
+import { readFileSync } from "fs";
+import { escapeRegex } from "./search.js";
+
+export const COMMENT_STATUSES = ["visible", "pending", "hidden", "removed"];
+
+export const REPORT_REASONS = ["spam", "harassment", "hate", "misinformation", "off-topic", "other"];
+
+// moderator actions and the states each one may be taken from
+export const MODERATION_ACTIONS = {
+  approve: { from: ["pending"], to: "visible" },
+  dismiss: { from: ["visible"], to: "visible" },
+  hide: { from: ["visible", "pending"], to: "hidden" },
+  restore: { from: ["hidden"], to: "visible" },
+  remove: { from: ["visible", "pending", "hidden"], to: "removed" },
+};
+
+// open reports that take a visible comment down until a moderator looks at it
+export const REPORTS_TO_HOLD = Number(process.env.COMMENT_REPORTS_TO_HOLD || 3);
+
+const MAX_LINKS = Number(process.env.COMMENT_MAX_LINKS || 2);
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+const readBlocklistFile = (file) => {
+  try {
+    return readFileSync(file, "utf8").split(/\r?\n/);
+  } catch (err) {
+    console.log(`could not read comment blocklist ${file}: ${err.message}`);
+    return [];
+  }
+};
+
+let words = [];
+let domains = [];
+
+export const setBlocklist = (entries) => {
+  const cleaned = [...new Set(
+    entries
+      .map((entry) => String(entry).replace(/#.*$/, "").trim().toLowerCase())
+      .filter(Boolean)
+  )];
+
+  domains = cleaned.filter((entry) => entry.includes(".") && !/\s/.test(entry));
+  words = cleaned
+    .filter((entry) => !domains.includes(entry))
+    .map((entry) => ({ entry, regex: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(entry)}(?![\\p{L}\\p{N}])`, "iu") }));
+};
+
+setBlocklist([
+  ...String(process.env.COMMENT_BLOCKLIST || "").split(","),
+  ...(process.env.COMMENT_BLOCKLIST_FILE ? readBlocklistFile(process.env.COMMENT_BLOCKLIST_FILE) : []),
+]);
+
+const hostOf = (link) => {
+  try {
+    return new URL(/^www\./i.test(link) ? `http://${link}` : link).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+};
+
+// Why a comment should wait for a moderator, empty when it can go live.
+export const checkComment = (text) => {
+  const reasons = [];
+  const links = String(text || "").match(URL_PATTERN) || [];
+
+  words.forEach(({ entry, regex }) => {
+    if (regex.test(text)) reasons.push(`blocked word "${entry}"`);
+  });
+
+  links.map(hostOf).filter(Boolean).forEach((host) => {
+    const domain = domains.find((domain) => host == domain || host.endsWith(`.${domain}`));
+    if (domain && !reasons.includes(`blocked link ${domain}`)) reasons.push(`blocked link ${domain}`);
+  });
+
+  if (links.length > MAX_LINKS) {
+    reasons.push(`${links.length} links`);
+  }
+
+  return reasons;
+};
@@ -0,0 +1,54 @@
+// Notification types and who gets which of them.
+//
+// Every user has an in-app and an email switch per type, and can mute
+// blogs, comment threads (by their top level comment) and other users.
+// Mutes silence every type on both channels.
+
+export const NOTIFICATION_TYPES = ["like", "comment", "reply", "follow", "comment_like", "mention"];
+
+export const NOTIFICATION_CHANNELS = ["in_app", "email"];
+
+const includesId = (list, id) => Boolean(id) && (list || []).some((item) => String(item) == String(id));
+
+// Channels a notification should go out on for its recipient, who needs
+// notification_settings and the muted_* lists loaded.
+export const deliveryFor = (recipient, { type, user, blog, thread }) => {
+  if (
+    includesId(recipient.muted_users, user) ||
+    includesId(recipient.muted_blogs, blog) ||
+    includesId(recipient.muted_threads, thread)
+  ) {
+    return { in_app: false, email: false };
+  }
+
+  const settings = (recipient.notification_settings || {})[type] || {};
+
+  return { in_app: settings.in_app !== false, email: settings.email !== false };
+};
+
+// Types switched on for a channel.
+export const enabledTypes = (recipient, channel) => {
+  return NOTIFICATION_TYPES.filter((type) => {
+    const settings = (recipient.notification_settings || {})[type] || {};
+    return settings[channel] !== false;
+  });
+};
+
+// Validates a partial settings update such as { like: { email: false } }
+// and flattens it into $set paths. Returns null when anything is unknown.
+export const settingsUpdate = (settings) => {
+  if (!settings || typeof settings != "object") return null;
+
+  const update = {};
+
+  for (const [type, channels] of Object.entries(settings)) {
+    if (!NOTIFICATION_TYPES.includes(type) || !channels || typeof channels != "object") return null;
+
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel) || typeof enabled != "boolean") return null;
+      update[`notification_settings.${type}.${channel}`] = enabled;
+    }
+  }
+
+  return Object.keys(update).length ? update : null;
+};
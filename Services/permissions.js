@@ -0,0 +1,30 @@
+// Roles a user can hold, lowest to highest. Permissions are plain strings
+// that routes ask for through requirePermission in server.js.
+export const ROLES = ["reader", "author", "editor", "moderator", "admin"];
+
+const authorPermissions = ["blog:create", "blog:edit:own", "blog:delete:own"];
+
+const ROLE_PERMISSIONS = {
+  reader: [],
+  author: authorPermissions,
+  editor: [...authorPermissions, "blog:edit:any", "blog:delete:any"],
+  moderator: ["comment:moderate"],
+  admin: [
+    ...authorPermissions,
+    "blog:edit:any",
+    "blog:delete:any",
+    "comment:moderate",
+    "user:assign-role",
+    "blog:import",
+  ],
+};
+
+// accounts created before roles existed only carry the `admin` flag
+export const roleOf = (user) => {
+  if (user.admin) return "admin";
+  return ROLES.includes(user.role) ? user.role : "reader";
+};
+
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
@@ -0,0 +1,154 @@
+// Fixed window rate limiting and progressive lockout.
+//
+// Counters live in a store. The default MemoryStore is fine for a single
+// process; when running several instances pass a shared store instead. A
+// store only needs three async methods:
+//
+//   get(key)                  -> { count, resetAt } or null when unknown/expired
+//   increment(key, windowMs)  -> { count, resetAt }, starting a new window of
+//                                windowMs when the key is unknown or expired
+//   reset(key)                -> forgets the key
+
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+
+    this.cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, cleanupIntervalMs);
+
+    // never keep the process alive just for this
+    if (this.cleanup.unref) this.cleanup.unref();
+  }
+
+  async get(key) {
+    const entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= Date.now()) {
+      return null;
+    }
+
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let defaultStore = null;
+
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = new MemoryStore();
+  return defaultStore;
+};
+
+// Use a shared store for every limiter created after this call.
+export const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+const secondsUntil = (date) => {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+};
+
+export const tooManyRequests = (res, resetAt, error) => {
+  res.set("Retry-After", String(secondsUntil(resetAt)));
+  return res.status(429).json({ error });
+};
+
+// Express middleware allowing `max` requests per `windowMs` for each key.
+// `keyGenerator(req)` returns the key to count against; returning nothing
+// skips the limiter for that request.
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  store,
+  message = "Too many requests, please try again later",
+}) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+
+    if (key == null) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await (store || getDefaultStore()).increment(
+        `${name}:${key}`,
+        windowMs
+      );
+
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(0, max - count)));
+      res.set("RateLimit-Reset", String(secondsUntil(resetAt)));
+
+      if (count > max) {
+        return tooManyRequests(res, resetAt, message);
+      }
+    } catch (err) {
+      // a broken store should not take the whole API down with it
+      console.log("rate limiter store error", err.message);
+    }
+
+    next();
+  };
+};
+
+// Tracks failed attempts per account. After `threshold` failures inside
+// `windowMs` the account is locked for `baseLockMs`, and every further
+// failure doubles the lock up to `maxLockMs`.
+export const createLockout = ({
+  name,
+  threshold = 5,
+  windowMs = 15 * 60 * 1000,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  store,
+}) => {
+  const failKey = (key) => `${name}:fail:${key}`;
+  const lockKey = (key) => `${name}:lock:${key}`;
+  const getStore = () => store || getDefaultStore();
+
+  return {
+    // resolves to the Date the lock ends, or null when not locked
+    lockedUntil: async (key) => {
+      const lock = await getStore().get(lockKey(key));
+      return lock ? lock.resetAt : null;
+    },
+
+    recordFailure: async (key) => {
+      const { count } = await getStore().increment(failKey(key), windowMs);
+
+      if (count >= threshold) {
+        const lockMs = Math.min(maxLockMs, baseLockMs * 2 ** (count - threshold));
+        await getStore().reset(lockKey(key));
+        await getStore().increment(lockKey(key), lockMs);
+      }
+    },
+
+    recordSuccess: async (key) => {
+      await getStore().reset(failKey(key));
+      await getStore().reset(lockKey(key));
+    },
+  };
+};
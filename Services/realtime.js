@@ -0,0 +1,94 @@
+// Real-time delivery of events to signed in users over Server-Sent Events.
+//
+// Events for a user are published on that user's channel of a broker, and
+// every open stream of the user is subscribed to it. The default
+// MemoryBroker only reaches streams held by this process; when running
+// several instances pass a shared broker to setBroker. A broker needs two
+// async methods:
+//
+//   publish(channel, message)   -> sends a string to every subscriber
+//   subscribe(channel, handler) -> calls handler(message) for each message,
+//                                  resolves to an unsubscribe function
+//
+// createRedisBroker adapts node-redis (v4) clients to this; Redis needs a
+// connection of its own for subscribing.
+
+import { EventEmitter } from "events";
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+export class MemoryBroker {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // one listener per open stream
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, message) {
+    this.emitter.emit(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return async () => {
+      this.emitter.off(channel, handler);
+    };
+  }
+}
+
+export const createRedisBroker = (publisher, subscriber) => ({
+  publish: (channel, message) => publisher.publish(channel, message),
+
+  subscribe: async (channel, handler) => {
+    await subscriber.subscribe(channel, handler);
+    return () => subscriber.unsubscribe(channel, handler);
+  },
+});
+
+let broker = new MemoryBroker();
+
+export const setBroker = (newBroker) => {
+  broker = newBroker;
+};
+
+const userChannel = (user_id) => `user:${user_id}`;
+
+// event = { id, event, data }, id and event are optional
+export const publishToUser = (user_id, event) => {
+  return broker.publish(userChannel(user_id), JSON.stringify(event));
+};
+
+export const subscribeToUser = (user_id, handler) => {
+  return broker.subscribe(userChannel(user_id), (message) => handler(JSON.parse(message)));
+};
+
+// Starts an event stream on the response and returns a function that sends
+// one event on it. Comments are written regularly so proxies don't close an
+// idle connection.
+export const openEventStream = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // nginx buffers responses unless told not to
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => clearInterval(heartbeat));
+
+  return ({ id, event, data }) => {
+    let frame = "";
+
+    if (id) frame += `id: ${id}\n`;
+    if (event) frame += `event: ${event}\n`;
+
+    frame += JSON.stringify(data).split("\n").map((line) => `data: ${line}`).join("\n");
+
+    res.write(`${frame}\n\n`);
+  };
+};
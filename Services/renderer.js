@@ -0,0 +1,365 @@
+// Server side rendering of Editor.js content to HTML, Markdown and plain
+// text.
+//
+// Blog.content is stored as a one element array wrapping the Editor.js
+// output ({ time, blocks, version }). Inline text inside blocks may carry a
+// little HTML from the editor's inline tools, which is sanitized down to a
+// small whitelist before it is put in the page.
+//
+// Block types without a renderer (or whose data is broken) never fail the
+// whole post: if they carry some text it is shown as a paragraph, otherwise
+// they are left out.
+
+export const RENDER_FORMATS = ["html", "markdown", "text"];
+
+const WORDS_PER_MINUTE = 238;
+
+const INLINE_TAGS = ["b", "strong", "i", "em", "u", "s", "a", "code", "mark", "br", "sub", "sup"];
+
+// Editor.js embed services that are put in the page as an iframe, with the
+// hosts their players are served from. Embeds of any other service, or
+// pointing anywhere else, are shown as a link to the source.
+const EMBED_HOSTS = {
+  youtube: ["www.youtube.com", "www.youtube-nocookie.com"],
+  vimeo: ["player.vimeo.com"],
+  twitter: ["twitframe.com"],
+  instagram: ["www.instagram.com"],
+  codepen: ["codepen.io"],
+  coub: ["coub.com"],
+};
+
+const EMBED_SANDBOX = "allow-scripts allow-same-origin allow-popups allow-presentation";
+
+export const escapeHTML = (text) => {
+  return String(text == null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+export const getBlocks = (content) => {
+  const data = Array.isArray(content) ? content[0] : content;
+  return data && Array.isArray(data.blocks) ? data.blocks : [];
+};
+
+const safeURL = (url, protocols = ["http:", "https:", "mailto:"]) => {
+  try {
+    const parsed = new URL(String(url).trim());
+    return protocols.includes(parsed.protocol) ? parsed.href : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Keeps whitelisted inline tags (links only with a safe href), drops every
+// other tag and attribute, and leaves existing entities alone.
+export const sanitizeInline = (html) => {
+  const open = [];
+  let result = "";
+
+  const tokens = String(html == null ? "" : html).split(/(<[^>]*>)/);
+
+  tokens.forEach((token) => {
+    const tag = /^<\s*(\/)?\s*([a-zA-Z0-9]+)([^>]*)>$/.exec(token);
+
+    if (!tag) {
+      // text: escape anything that isn't already an entity
+      result += token
+        .replace(/&(?!(#\d+|#x[0-9a-fA-F]+|[a-zA-Z]+);)/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+      return;
+    }
+
+    const [, closing, rawName, attrs] = tag;
+    const name = rawName.toLowerCase();
+
+    if (!INLINE_TAGS.includes(name)) return;
+
+    if (name == "br") {
+      result += "<br>";
+      return;
+    }
+
+    if (closing) {
+      const index = open.lastIndexOf(name);
+      if (index == -1) return;
+
+      // close anything left open inside it first
+      while (open.length > index) {
+        result += `</${open.pop()}>`;
+      }
+      return;
+    }
+
+    if (name == "a") {
+      const href = /href\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attrs);
+      const url = href && safeURL((href[2] || href[3] || href[4] || "").replace(/&amp;/g, "&"));
+
+      if (!url) return;
+
+      result += `<a href="${escapeHTML(url)}" rel="nofollow noopener">`;
+    } else {
+      result += `<${name}>`;
+    }
+
+    open.push(name);
+  });
+
+  while (open.length) {
+    result += `</${open.pop()}>`;
+  }
+
+  return result;
+};
+
+const embedURL = (service, embed) => {
+  const src = safeURL(embed, ["https:"]);
+  const hosts = EMBED_HOSTS[service];
+
+  return src && hosts && hosts.includes(new URL(src).hostname) ? src : null;
+};
+
+// inline html reduced to text that is safe inside an attribute value
+const inlineAttribute = (html) => {
+  return sanitizeInline(html).replace(/<[^>]*>/g, "").replace(/"/g, "&quot;");
+};
+
+const renderListItemsHTML = (items = [], tag) => {
+  return items
+    .map((item) => {
+      if (typeof item == "string") return `<li>${sanitizeInline(item)}</li>`;
+
+      const nested = item.items && item.items.length
+        ? `<${tag}>${renderListItemsHTML(item.items, tag)}</${tag}>`
+        : "";
+
+      return `<li>${sanitizeInline(item.content)}${nested}</li>`;
+    })
+    .join("");
+};
+
+// paragraphs and headers left empty in the editor are not rendered at all
+const isBlank = (html) => !inlineText(html).trim().length;
+
+const htmlRenderers = {
+  paragraph: ({ text }) => (isBlank(text) ? "" : `<p>${sanitizeInline(text)}</p>`),
+
+  header: ({ text, level }) => {
+    if (isBlank(text)) return "";
+    const h = Math.min(6, Math.max(1, Number(level) || 2));
+    return `<h${h}>${sanitizeInline(text)}</h${h}>`;
+  },
+
+  list: ({ style, items }) => {
+    const tag = style == "ordered" ? "ol" : "ul";
+    return `<${tag}>${renderListItemsHTML(items, tag)}</${tag}>`;
+  },
+
+  quote: ({ text, caption }) => {
+    const cite = caption ? `<cite>${sanitizeInline(caption)}</cite>` : "";
+    return `<blockquote><p>${sanitizeInline(text)}</p>${cite}</blockquote>`;
+  },
+
+  image: ({ file, url, caption }) => {
+    const src = safeURL((file && file.url) || url, ["http:", "https:"]);
+    if (!src) return "";
+
+    const figcaption = caption ? `<figcaption>${sanitizeInline(caption)}</figcaption>` : "";
+    return `<figure><img src="${escapeHTML(src)}" alt="${inlineAttribute(caption)}">${figcaption}</figure>`;
+  },
+
+  code: ({ code }) => `<pre><code>${escapeHTML(code)}</code></pre>`,
+
+  embed: ({ service, source, embed, caption, width, height }) => {
+    const src = embedURL(service, embed);
+    const link = safeURL(source, ["http:", "https:"]);
+    if (!src && !link) return "";
+
+    const frame = src
+      ? `<iframe src="${escapeHTML(src)}" width="${Number(width) || 580}" height="${Number(height) || 320}" frameborder="0" sandbox="${EMBED_SANDBOX}" referrerpolicy="strict-origin-when-cross-origin" allowfullscreen></iframe>`
+      : `<a href="${escapeHTML(link)}" rel="nofollow noopener">${escapeHTML(service || link)}</a>`;
+
+    const figcaption = caption ? `<figcaption>${sanitizeInline(caption)}</figcaption>` : "";
+    return `<figure>${frame}${figcaption}</figure>`;
+  },
+};
+
+const decodeEntities = (text) => {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+};
+
+export const inlineText = (html) => {
+  return decodeEntities(sanitizeInline(html).replace(/<br>/g, "\n").replace(/<[^>]*>/g, ""));
+};
+
+const escapeMarkdown = (text) => {
+  return text.replace(/([\\`*_{}\[\]<>#|~])/g, "\\$1").replace(/^(\s*)([-+]|\d+\.)(\s)/gm, "$1\\$2$3");
+};
+
+const MARKDOWN_MARKS = { b: "**", strong: "**", i: "_", em: "_", s: "~~", code: "`" };
+
+// Inline HTML -> Markdown, going through the sanitizer first so only the
+// whitelisted tags need handling.
+const inlineMarkdown = (html) => {
+  let result = "";
+  const links = [];
+
+  sanitizeInline(html)
+    .split(/(<[^>]*>)/)
+    .forEach((token) => {
+      const tag = /^<(\/)?([a-z]+)(?:\s+href="([^"]*)")?[^>]*>$/.exec(token);
+
+      if (!tag) {
+        result += escapeMarkdown(decodeEntities(token));
+        return;
+      }
+
+      const [, closing, name, href] = tag;
+
+      if (name == "br") {
+        result += "  \n";
+      } else if (name == "a") {
+        if (closing) {
+          result += `](${links.pop() || ""})`;
+        } else {
+          links.push(decodeEntities(href || "").replace(/\)/g, "%29"));
+          result += "[";
+        }
+      } else if (MARKDOWN_MARKS[name]) {
+        result += MARKDOWN_MARKS[name];
+      }
+    });
+
+  return result;
+};
+
+const listItems = (items = []) => {
+  return items.map((item) => (typeof item == "string" ? { content: item, items: [] } : item));
+};
+
+const renderListMarkdown = (items, ordered, depth = 0) => {
+  return listItems(items)
+    .map((item, index) => {
+      const marker = ordered ? `${index + 1}.` : "-";
+      const line = `${"   ".repeat(depth)}${marker} ${inlineMarkdown(item.content)}`;
+      const nested = item.items && item.items.length ? `\n${renderListMarkdown(item.items, ordered, depth + 1)}` : "";
+      return line + nested;
+    })
+    .join("\n");
+};
+
+const renderListText = (items, depth = 0) => {
+  return listItems(items)
+    .map((item) => {
+      const line = `${"  ".repeat(depth)}- ${inlineText(item.content)}`;
+      const nested = item.items && item.items.length ? `\n${renderListText(item.items, depth + 1)}` : "";
+      return line + nested;
+    })
+    .join("\n");
+};
+
+const quoteLines = (text) => text.split("\n").map((line) => `> ${line}`).join("\n");
+
+const markdownRenderers = {
+  paragraph: ({ text }) => (isBlank(text) ? "" : inlineMarkdown(text)),
+
+  header: ({ text, level }) => {
+    if (isBlank(text)) return "";
+    const h = Math.min(6, Math.max(1, Number(level) || 2));
+    return `${"#".repeat(h)} ${inlineMarkdown(text)}`;
+  },
+
+  list: ({ style, items }) => renderListMarkdown(items, style == "ordered"),
+
+  quote: ({ text, caption }) => {
+    return quoteLines(inlineMarkdown(text)) + (caption ? `\n>\n> — ${inlineMarkdown(caption)}` : "");
+  },
+
+  image: ({ file, url, caption }) => {
+    const src = safeURL((file && file.url) || url, ["http:", "https:"]);
+    if (!src) return "";
+    return `![${escapeMarkdown(inlineText(caption))}](${src.replace(/\)/g, "%29")})`;
+  },
+
+  code: ({ code, language }) => {
+    const body = String(code || "");
+    // a fence longer than any run of backticks inside the code
+    const fence = "`".repeat(Math.max(3, ...(body.match(/`+/g) || []).map((run) => run.length + 1)));
+    return `${fence}${language || ""}\n${body}\n${fence}`;
+  },
+
+  embed: ({ service, source, caption }) => {
+    const link = safeURL(source, ["http:", "https:"]);
+    if (!link) return "";
+    const text = caption ? inlineMarkdown(caption) : escapeMarkdown(service || link);
+    return `[${text}](${link.replace(/\)/g, "%29")})`;
+  },
+};
+
+const textRenderers = {
+  paragraph: ({ text }) => inlineText(text),
+  header: ({ text }) => inlineText(text),
+  list: ({ items }) => renderListText(items),
+  quote: ({ text, caption }) => inlineText(text) + (caption ? `\n— ${inlineText(caption)}` : ""),
+  image: ({ caption }) => inlineText(caption),
+  code: ({ code }) => String(code || ""),
+  embed: ({ caption }) => inlineText(caption),
+};
+
+const renderers = {
+  html: { blocks: htmlRenderers, separator: "\n", fallback: (text) => `<p>${sanitizeInline(text)}</p>` },
+  markdown: { blocks: markdownRenderers, separator: "\n\n", fallback: inlineMarkdown },
+  text: { blocks: textRenderers, separator: "\n\n", fallback: inlineText },
+};
+
+const renderBlock = (block, { blocks, fallback }) => {
+  if (!block || typeof block != "object") return "";
+
+  const data = block.data && typeof block.data == "object" ? block.data : {};
+
+  try {
+    if (blocks[block.type]) return blocks[block.type](data);
+  } catch (err) {
+    // broken block data, fall through to the text fallback
+  }
+
+  const text = [data.text, data.caption].find((value) => typeof value == "string" && value.trim().length);
+
+  return text ? fallback(text) : "";
+};
+
+export const render = (content, format = "html") => {
+  const renderer = renderers[format];
+
+  if (!renderer) {
+    throw new Error(`Unknown render format "${format}"`);
+  }
+
+  return getBlocks(content)
+    .map((block) => renderBlock(block, renderer))
+    .filter((output) => output && output.trim().length)
+    .join(renderer.separator);
+};
+
+export const renderHTML = (content) => render(content, "html");
+
+export const renderMarkdown = (content) => render(content, "markdown");
+
+export const renderText = (content) => render(content, "text");
+
+// Estimated minutes to read, never less than one.
+export const readingTime = (content) => {
+  const words = renderText(content).split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+};
@@ -0,0 +1,123 @@
+import { getBlocks } from "./renderer.js";
+
+// Helpers for comparing two saved versions of a blog.
+
+const DIFFED_FIELDS = ["title", "des", "banner", "tags"];
+
+// the LCS table is (n + 1) x (m + 1), so at most this many blocks of each
+// version go into it
+const MAX_DIFFED_BLOCKS = Number(process.env.MAX_DIFFED_BLOCKS) || 500;
+
+const signature = (block) => JSON.stringify([block.type, block.data]);
+
+// Longest common subsequence over the block signatures. Blocks that are
+// not part of it were added or removed; inside each run of removals and
+// additions, a removed block that reappears (same Editor.js id, or same
+// type when ids are missing) is reported as a single change.
+const lcsDiff = (oldBlocks, newBlocks) => {
+  const a = oldBlocks.map(signature);
+  const b = newBlocks.map(signature);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] == b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const sameBlock = (from, to) => {
+    if (from.id && to.id) return from.id == to.id;
+    return from.type == to.type;
+  };
+
+  const result = [];
+  let removed = [];
+  let added = [];
+
+  const flushRun = () => {
+    const paired = new Set();
+
+    removed.forEach((from) => {
+      const match = added.findIndex((to, index) => !paired.has(index) && sameBlock(from, to));
+
+      if (match == -1) {
+        result.push({ status: "removed", block: from });
+      } else {
+        paired.add(match);
+        result.push({ status: "changed", from, to: added[match] });
+      }
+    });
+
+    added.forEach((to, index) => {
+      if (!paired.has(index)) result.push({ status: "added", block: to });
+    });
+
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] == b[j]) {
+      flushRun();
+      result.push({ status: "unchanged", block: newBlocks[j] });
+      i++;
+      j++;
+    } else if (i < a.length && (j == b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      removed.push(oldBlocks[i]);
+      i++;
+    } else {
+      added.push(newBlocks[j]);
+      j++;
+    }
+  }
+
+  flushRun();
+
+  return result;
+};
+
+// The unchanged blocks at the start and end are matched as they are, only
+// what lies between them is diffed. Past MAX_DIFFED_BLOCKS that middle part
+// is not compared at all: its old blocks are reported removed and its new
+// ones added.
+export const diffBlocks = (oldBlocks, newBlocks) => {
+  const a = oldBlocks.map(signature);
+  const b = newBlocks.map(signature);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] == b[start]) start++;
+
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] == b[b.length - 1 - end]) end++;
+
+  const oldEnd = Math.min(a.length - end, start + MAX_DIFFED_BLOCKS);
+  const newEnd = Math.min(b.length - end, start + MAX_DIFFED_BLOCKS);
+
+  return [
+    ...newBlocks.slice(0, start).map((block) => ({ status: "unchanged", block })),
+    ...lcsDiff(oldBlocks.slice(start, oldEnd), newBlocks.slice(start, newEnd)),
+    ...oldBlocks.slice(oldEnd, a.length - end).map((block) => ({ status: "removed", block })),
+    ...newBlocks.slice(newEnd, b.length - end).map((block) => ({ status: "added", block })),
+    ...newBlocks.slice(b.length - end).map((block) => ({ status: "unchanged", block })),
+  ];
+};
+
+// Compares two revision documents (or anything shaped like a blog).
+export const diffRevisions = (from, to) => {
+  const fields = {};
+
+  DIFFED_FIELDS.forEach((field) => {
+    if (JSON.stringify(from[field]) != JSON.stringify(to[field])) {
+      fields[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  return {
+    fields,
+    blocks: diffBlocks(getBlocks(from.content), getBlocks(to.content)),
+  };
+};
@@ -0,0 +1,29 @@
+// Tiny in-process job runner. Jobs are expected to look up their own work
+// in the database each time they run, which is what lets them catch up on
+// anything that fell due while the server was down: every job runs once at
+// start up and then every `intervalMs`. A run never overlaps the previous
+// one, and a failing run is logged and retried on the next tick.
+export const schedule = (name, intervalMs, task) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (err) {
+      console.log(`scheduled job "${name}" failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return {
+    run: tick,
+    stop: () => clearInterval(timer),
+  };
+};
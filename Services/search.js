@@ -0,0 +1,206 @@
+// Full-text search helpers for blogs and users.
+//
+// Blogs are searched through a MongoDB text index over title, des, tags and
+// search_text (the plain text rendering of the Editor.js content, kept up to
+// date by hooks in Schema/Blog.js). Text indexes don't do prefix matching, so terms
+// ending in `*` (or the last word, when the caller asks for it) are matched
+// with anchored, escaped regular expressions instead and scored with the
+// same field weights.
+
+import { escapeHTML } from "./renderer.js";
+
+export const BLOG_SEARCH_WEIGHTS = { title: 10, tags: 6, des: 4, search_text: 1 };
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const SNIPPET_RADIUS = 80;
+
+export const escapeRegex = (text) => {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+// Splits a user query into quoted phrases, whole terms and prefix terms.
+// With `prefixLast` the final unquoted word is treated as a prefix, which is
+// what search-as-you-type wants.
+export const parseSearchQuery = (input, { prefixLast = false } = {}) => {
+  let text = String(input || "").slice(0, MAX_QUERY_LENGTH);
+
+  const phrases = [];
+  text = text.replace(/"([^"]*)"/g, (match, phrase) => {
+    phrase = phrase.trim();
+    if (phrase.length) phrases.push(phrase);
+    return " ";
+  });
+
+  const words = text
+    .split(/\s+/)
+    .map((word) => word.replace(/[^\p{L}\p{N}*'-]/gu, ""))
+    .filter((word) => word.replace(/[*'-]/g, "").length)
+    .slice(0, MAX_TERMS);
+
+  const terms = [];
+  const prefixes = [];
+
+  words.forEach((word, index) => {
+    const isLast = index == words.length - 1 && !/\s$/.test(text);
+
+    if (word.endsWith("*") || (prefixLast && isLast)) {
+      prefixes.push(word.replace(/\*+$/, "").replace(/\*/g, ""));
+    } else {
+      terms.push(word.replace(/\*/g, ""));
+    }
+  });
+
+  return {
+    phrases: phrases.slice(0, MAX_TERMS),
+    terms: terms.filter(Boolean),
+    prefixes: prefixes.filter(Boolean),
+  };
+};
+
+export const isEmptyQuery = ({ phrases, terms, prefixes }) => {
+  return !phrases.length && !terms.length && !prefixes.length;
+};
+
+// start of a word; kept to syntax both JavaScript and MongoDB's PCRE understand
+const prefixRegex = (prefix) => `(^|\\W)${escapeRegex(prefix)}`;
+
+// Builds the $match conditions and a score expression for a blog search.
+// The score expression only works in an aggregation pipeline.
+export const buildBlogSearch = (parsed) => {
+  const match = {};
+  const score = [];
+
+  if (parsed.terms.length || parsed.phrases.length) {
+    match.$text = {
+      $search: [...parsed.terms, ...parsed.phrases.map((phrase) => `"${phrase.replace(/"/g, "")}"`)].join(" "),
+    };
+    score.push({ $meta: "textScore" });
+  }
+
+  if (parsed.prefixes.length) {
+    match.$and = parsed.prefixes.map((prefix) => {
+      const regex = new RegExp(prefixRegex(prefix), "i");
+      return {
+        $or: Object.keys(BLOG_SEARCH_WEIGHTS).map((field) => ({ [field]: regex })),
+      };
+    });
+
+    parsed.prefixes.forEach((prefix) => {
+      const options = "i";
+      const regex = prefixRegex(prefix);
+
+      Object.entries(BLOG_SEARCH_WEIGHTS).forEach(([field, weight]) => {
+        const matches = field == "tags"
+          ? {
+              $gt: [
+                {
+                  $size: {
+                    $filter: {
+                      input: { $ifNull: ["$tags", []] },
+                      cond: { $regexMatch: { input: "$$this", regex, options } },
+                    },
+                  },
+                },
+                0,
+              ],
+            }
+          : { $regexMatch: { input: { $ifNull: [`$${field}`, ""] }, regex, options } };
+
+        score.push({ $cond: [matches, weight, 0] });
+      });
+    });
+  }
+
+  return { match, score: score.length ? { $add: score } : { $literal: 0 } };
+};
+
+// Regex matching every searched word or phrase, used for highlighting.
+const highlightRegex = ({ phrases, terms, prefixes }) => {
+  const parts = [
+    ...phrases.map(escapeRegex),
+    // whole terms are stemmed by the text index, so "run" also found "running"
+    ...terms.map((term) => `${escapeRegex(term)}[\\p{L}\\p{N}]*`),
+    ...prefixes.map((prefix) => `${escapeRegex(prefix)}[\\p{L}\\p{N}]*`),
+  ];
+
+  if (!parts.length) return null;
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join("|")})`, "giu");
+};
+
+// Escapes `text` and wraps every match in <mark>.
+const markMatches = (text, regex) => {
+  let result = "";
+  let last = 0;
+
+  text.replace(regex, (match, ...args) => {
+    const offset = args[args.length - 2];
+    result += escapeHTML(text.slice(last, offset)) + `<mark>${escapeHTML(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+
+  return result + escapeHTML(text.slice(last));
+};
+
+// Highlighted title and a short snippet around the first match in the
+// description or the body. Both are HTML safe.
+export const highlightBlog = (blog, parsed) => {
+  const regex = highlightRegex(parsed);
+  const title = blog.title || "";
+
+  if (!regex) {
+    return { title: escapeHTML(title), snippet: escapeHTML(blog.des || "") };
+  }
+
+  let source = [blog.des, blog.search_text].find((text) => text && text.search(regex) != -1)
+    || blog.des
+    || "";
+
+  const index = Math.max(0, source.search(regex));
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(source.length, index + SNIPPET_RADIUS * 2);
+
+  const snippet = (start > 0 ? "…" : "")
+    + markMatches(source.slice(start, end), regex)
+    + (end < source.length ? "…" : "");
+
+  return { title: markMatches(title, regex), snippet };
+};
+
+// Usernames are single tokens and fullnames short, so users are matched on
+// word prefixes instead of the text index and ranked by how well they match.
+export const buildUserSearch = (parsed) => {
+  const words = [...parsed.phrases, ...parsed.terms, ...parsed.prefixes];
+
+  if (!words.length) return null;
+
+  const options = "i";
+
+  const match = {
+    $and: words.map((word) => {
+      const regex = new RegExp(prefixRegex(word), options);
+      return { $or: [{ "personal_info.username": regex }, { "personal_info.fullname": regex }] };
+    }),
+  };
+
+  const score = {
+    $add: words.flatMap((word) => {
+      const escaped = escapeRegex(word);
+      const test = (field, regex, weight) => ({
+        $cond: [{ $regexMatch: { input: { $ifNull: [field, ""] }, regex, options } }, weight, 0],
+      });
+
+      return [
+        test("$personal_info.username", `^${escaped}$`, 100),
+        test("$personal_info.username", `^${escaped}`, 40),
+        test("$personal_info.fullname", `^${escaped}`, 20),
+        test("$personal_info.fullname", prefixRegex(word), 10),
+        test("$personal_info.username", escaped, 5),
+      ];
+    }),
+  };
+
+  return { match, score };
+};
@@ -0,0 +1,205 @@
+// Where uploaded images are stored.
+//
+// Uploads go straight from the browser to the storage, the server only hands
+// out a short lived upload target for one file of a given type and size.
+// Which driver is used is decided by STORAGE_DRIVER:
+//   s3    - presigned POST to S3_BUCKET in S3_REGION, served from S3_PUBLIC_URL
+//   local - signed PUT to this server, files kept in UPLOAD_DIR and served
+//           from UPLOAD_PUBLIC_URL
+// When STORAGE_DRIVER is not set we use s3 if AWS_ACCESS_KEY exists,
+// otherwise local. A driver needs:
+//
+//   createUpload({ key, contentType, size }) -> { method, url, fields?, headers? }
+//   publicURL(key)                           -> where the file is read from
+//
+// The local driver also has receive() and filePath() for the routes that
+// take and serve its files.
+
+import aws from "aws-sdk";
+import crypto from "crypto";
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { nanoid } from "nanoid";
+
+// content type -> file extension
+export const UPLOAD_TYPES = {
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/jpeg": "jpeg",
+};
+
+export const MAX_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+const UPLOAD_EXPIRES_SECONDS = Number(process.env.UPLOAD_URL_EXPIRES_SECONDS) || 60 * 60;
+
+const SERVER_URL = process.env.SERVER_URL || "http://localhost:3000";
+
+const KEY_PATTERN = new RegExp(`^[\\w-]+\\.(${Object.values(UPLOAD_TYPES).join("|")})$`);
+
+// Why an upload of this type and size is refused, or null when it's fine.
+export const checkUpload = (contentType, size) => {
+  if (!UPLOAD_TYPES[contentType]) {
+    return `Only ${Object.keys(UPLOAD_TYPES).join(", ")} images can be uploaded`;
+  }
+
+  if (!Number.isInteger(size) || size <= 0) {
+    return "Please provide the size of the file in bytes";
+  }
+
+  if (size > MAX_UPLOAD_BYTES) {
+    return `Images can be at most ${Math.floor(MAX_UPLOAD_BYTES / 1024 / 1024 * 10) / 10} MB`;
+  }
+
+  return null;
+};
+
+export const uploadKey = (contentType) => `${nanoid()}-${Date.now()}.${UPLOAD_TYPES[contentType]}`;
+
+// What the first bytes of a file say it is, so a file can't claim to be an
+// image it isn't.
+export const sniffImageType = (buffer) => {
+  const starts = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] == byte);
+
+  if (starts([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (starts([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (buffer.subarray(0, 6).toString("latin1").match(/^GIF8[79]a$/)) return "image/gif";
+  if (buffer.subarray(0, 4).toString("latin1") == "RIFF" && buffer.subarray(8, 12).toString("latin1") == "WEBP") return "image/webp";
+
+  return null;
+};
+
+export const s3Storage = ({
+  bucket = process.env.S3_BUCKET || "sterkspruit-media",
+  region = process.env.S3_REGION || "af-south-1",
+  publicBaseURL = process.env.S3_PUBLIC_URL,
+} = {}) => {
+  const s3 = new aws.S3({
+    region,
+    accessKeyId: process.env.AWS_ACCESS_KEY,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    signatureVersion: "v4",
+  });
+
+  const baseURL = (publicBaseURL || `https://${bucket}.s3.${region}.amazonaws.com`).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+
+    // a presigned POST, unlike a presigned PUT, lets S3 itself hold the
+    // upload to the content type and size it was signed for
+    createUpload: ({ key, contentType, size }) => new Promise((resolve, reject) => {
+      s3.createPresignedPost({
+        Bucket: bucket,
+        Expires: UPLOAD_EXPIRES_SECONDS,
+        Fields: { key, "Content-Type": contentType },
+        Conditions: [["content-length-range", 1, size]],
+      }, (err, data) => {
+        if (err) return reject(err);
+        resolve({ method: "POST", url: data.url, fields: data.fields });
+      });
+    }),
+
+    publicURL: (key) => `${baseURL}/${key}`,
+  };
+};
+
+export const diskStorage = ({
+  dir = path.resolve(process.env.UPLOAD_DIR || "uploads"),
+  publicBaseURL = process.env.UPLOAD_PUBLIC_URL || `${SERVER_URL}/uploads`,
+  secret = process.env.SECRET_ACCESS_KEY,
+} = {}) => {
+  const baseURL = publicBaseURL.replace(/\/$/, "");
+
+  const sign = (key, contentType, size, expires) => {
+    return crypto.createHmac("sha256", secret).update(`${key}\n${contentType}\n${size}\n${expires}`).digest("hex");
+  };
+
+  return {
+    name: "local",
+    dir,
+
+    createUpload: async ({ key, contentType, size }) => {
+      const expires = Math.floor(Date.now() / 1000) + UPLOAD_EXPIRES_SECONDS;
+      const query = new URLSearchParams({ size, expires, signature: sign(key, contentType, size, expires) });
+
+      return {
+        method: "PUT",
+        url: `${baseURL}/${key}?${query}`,
+        headers: { "Content-Type": contentType },
+      };
+    },
+
+    publicURL: (key) => `${baseURL}/${key}`,
+
+    // Stores the body of a PUT to an upload target. Resolves to { url }, or
+    // { status, error } when the upload is refused.
+    receive: async ({ key, query, contentType, body }) => {
+      const size = Number(query.size);
+      const expires = Number(query.expires);
+      const signature = Buffer.from(String(query.signature || ""));
+      const expected = Buffer.from(sign(key, contentType, size, expires));
+
+      if (!KEY_PATTERN.test(key) || signature.length != expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return { status: 403, error: "This upload link is invalid" };
+      }
+
+      if (expires * 1000 < Date.now()) {
+        return { status: 403, error: "This upload link has expired" };
+      }
+
+      if (!Buffer.isBuffer(body) || !body.length || body.length > size) {
+        return { status: 413, error: `The file must be at most the ${size} bytes the link was made for` };
+      }
+
+      if (sniffImageType(body) != contentType) {
+        return { status: 415, error: `The file is not a ${contentType} image` };
+      }
+
+      await mkdir(dir, { recursive: true });
+
+      try {
+        // an upload link is good for one file
+        await writeFile(path.join(dir, key), body, { flag: "wx" });
+      } catch (err) {
+        if (err.code == "EEXIST") return { status: 409, error: "This upload link has already been used" };
+        throw err;
+      }
+
+      return { url: `${baseURL}/${key}` };
+    },
+
+    filePath: (key) => (KEY_PATTERN.test(key) ? path.join(dir, key) : null),
+  };
+};
+
+const drivers = {
+  s3: s3Storage,
+  local: diskStorage,
+};
+
+const defaultStorage = () => {
+  const name = process.env.STORAGE_DRIVER || (process.env.AWS_ACCESS_KEY ? "s3" : "local");
+
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+
+  return drivers[name]();
+};
+
+let storage = null;
+
+// Swap the storage, e.g. for another provider or a temporary directory in
+// tests.
+export const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+export const getStorage = () => {
+  if (!storage) {
+    storage = defaultStorage();
+  }
+
+  return storage;
+};
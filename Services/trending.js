@@ -0,0 +1,70 @@
+// Configuration and score calculation for trending blogs.
+//
+// Reads, likes and comments are counted in hourly buckets (see
+// Schema/BlogActivity.js). A blog's score for a window is the weighted sum
+// of its buckets inside that window, each bucket decayed exponentially by
+// its age so that last hour's likes count for more than last week's.
+
+export const ACTIVITY_WEIGHTS = { reads: 1, likes: 4, comments: 6 };
+
+// buckets are kept this long, so no window can be longer
+export const ACTIVITY_RETENTION_DAYS = 90;
+
+const HOUR = 60 * 60 * 1000;
+
+// "36h" or "7d" -> hours
+export const parseWindow = (window) => {
+  const match = /^(\d+)(h|d)$/.exec(String(window).trim());
+
+  if (!match) return null;
+
+  const hours = Number(match[1]) * (match[2] == "d" ? 24 : 1);
+
+  return hours > 0 && hours <= ACTIVITY_RETENTION_DAYS * 24 ? hours : null;
+};
+
+const configuredWindows = (process.env.TRENDING_WINDOWS || "24h,7d,30d")
+  .split(",")
+  .map((window) => window.trim())
+  .filter((window) => parseWindow(window));
+
+export const TRENDING_WINDOWS = configuredWindows.length ? configuredWindows : ["7d"];
+
+export const DEFAULT_TRENDING_WINDOW = TRENDING_WINDOWS.includes(process.env.TRENDING_DEFAULT_WINDOW)
+  ? process.env.TRENDING_DEFAULT_WINDOW
+  : TRENDING_WINDOWS[Math.floor(TRENDING_WINDOWS.length / 2)];
+
+// Activity loses half its weight every quarter of the window.
+const halfLifeHours = (windowHours) => windowHours / 4;
+
+export const hourBucket = (date = new Date()) => {
+  return new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+};
+
+// Aggregation over blog_activities producing { _id: blog, score } for
+// every blog with activity inside the window.
+export const trendingScorePipeline = (window, now = new Date()) => {
+  const windowHours = parseWindow(window);
+  const decayRate = Math.LN2 / halfLifeHours(windowHours);
+
+  const weighted = {
+    $add: Object.entries(ACTIVITY_WEIGHTS).map(([field, weight]) => ({
+      $multiply: [{ $ifNull: [`$${field}`, 0] }, weight],
+    })),
+  };
+
+  const ageHours = { $divide: [{ $subtract: [now, "$hour"] }, HOUR] };
+
+  return [
+    { $match: { hour: { $gt: new Date(now.getTime() - windowHours * HOUR) } } },
+    {
+      $group: {
+        _id: "$blog",
+        score: {
+          $sum: { $multiply: [weighted, { $exp: { $multiply: [-decayRate, ageHours] } }] },
+        },
+      },
+    },
+    { $match: { score: { $gt: 0 } } },
+  ];
+};
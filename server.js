@@ -11,10 +11,40 @@ import { getAuth } from "firebase-admin/auth";
 import { readFile } from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
-import aws from "aws-sdk";
 import Blog from "./Schema/Blog.js";
 import Notification from "./Schema/Notification.js";
 import Comment from "./Schema/Comment.js";
+import Session from "./Schema/Session.js";
+import crypto from "crypto";
+import PasswordReset from "./Schema/PasswordReset.js";
+import { sendMail } from "./Services/mailer.js";
+import { rateLimit, createLockout, tooManyRequests } from "./Services/rateLimiter.js";
+import { ROLES, roleOf, hasPermission } from "./Services/permissions.js";
+import BlogRevision from "./Schema/BlogRevision.js";
+import { diffRevisions } from "./Services/revisions.js";
+import { schedule } from "./Services/scheduler.js";
+import BlogActivity from "./Schema/BlogActivity.js";
+import Like from "./Schema/Like.js";
+import Follow from "./Schema/Follow.js";
+import ReadingList from "./Schema/ReadingList.js";
+import { RENDER_FORMATS, render, renderHTML, renderText, readingTime, escapeHTML } from "./Services/renderer.js";
+import { FEED_FORMATS, buildFeed } from "./Services/feeds.js";
+import TrendingScore from "./Schema/TrendingScore.js";
+import { TRENDING_WINDOWS, DEFAULT_TRENDING_WINDOW, hourBucket, trendingScorePipeline } from "./Services/trending.js";
+import { parseSearchQuery, isEmptyQuery, buildBlogSearch, highlightBlog, buildUserSearch } from "./Services/search.js";
+import { IMPORT_FORMATS } from "./Services/importer.js";
+import { ARCHIVE_SOURCES, readArchive } from "./Services/archives.js";
+import AdmZip from "adm-zip";
+import CommentReport from "./Schema/CommentReport.js";
+import CommentRevision from "./Schema/CommentRevision.js";
+import CommentLike from "./Schema/CommentLike.js";
+import { openEventStream, publishToUser, subscribeToUser } from "./Services/realtime.js";
+import { REPORT_REASONS, REPORTS_TO_HOLD, MODERATION_ACTIONS, checkComment } from "./Services/moderation.js";
+import { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, deliveryFor, enabledTypes, settingsUpdate } from "./Services/notifications.js";
+import NotificationDigest from "./Schema/NotificationDigest.js";
+import { findMentions, paragraphMentions, mentionedUsernames, mentionLinks } from "./Services/mentions.js";
+import { MAX_UPLOAD_BYTES, checkUpload, uploadKey, getStorage } from "./Services/storage.js";
+import { DIGEST_FREQUENCIES, DIGEST_PERIODS, renderDigest } from "./Services/digests.js";
 
 // Handle __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -37,69 +67,239 @@ admin.initializeApp({
 
 const server = express();
 const PORT = 3000;
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+const SERVER_URL = process.env.SERVER_URL || `http://localhost:${PORT}`;
+const SITE_NAME = process.env.SITE_NAME || "Sterkspruit";
 
 let emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
 let passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,20}$/;
 
-server.use(express.json());
+server.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "2mb" }));
 server.use(cors());
 
+// needed for req.ip to be the client address when running behind a proxy
+if (process.env.TRUST_PROXY) {
+  server.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 mongoose.connect(process.env.DB_LOCATION, {
   autoIndex: true,
 });
 
-// setting up s3 bucket
-const s3 = new aws.S3({
-  region: "af-south-1",
-  accessKeyId: process.env.AWS_ACCESS_KEY,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-});
+// blogs saved before search_text existed are not in the search index yet
+const backfillSearchText = async () => {
+  let blogs = await Blog.find({ search_text: { $exists: false } }).select("content");
+
+  for (let blog of blogs) {
+    await Blog.collection.updateOne(
+      { _id: blog._id },
+      { $set: { search_text: renderText(blog.content) } }
+    );
+  }
+
+  if (blogs.length) console.log(`search text added to ${blogs.length} blogs`);
+};
+
+backfillSearchText().catch((err) => console.log(err.message));
+
+// likes used to be stored only as "like" notifications; copy them over the
+// first time the likes collection is used and recount every blog's likes
+const migrateLikes = async () => {
+  if (await Like.exists({})) return;
 
-const generateUploadURL = async () => {
-  const date = new Date();
-  const imageName = `${nanoid()}-${date.getTime()}.jpeg`;
+  let likes = await Notification.find({ type: "like" }).select("user blog createdAt");
+  if (!likes.length) return;
 
-  return await s3.getSignedUrlPromise("putObject", {
-    Bucket: "sterkspruit-media",
-    Key: imageName,
-    Expires: 60 * 60,
-    ContentType: "image/jpeg",
+  await Like.insertMany(
+    likes.map(({ user, blog, createdAt }) => ({ user, blog, likedAt: createdAt })),
+    { ordered: false }
+  ).catch((err) => {
+    // duplicates from replayed requests are expected and skipped
+    if (err.code != 11000) throw err;
   });
+
+  let counts = await Like.aggregate([{ $group: { _id: "$blog", total: { $sum: 1 } } }]);
+
+  await Blog.bulkWrite(counts.map(({ _id, total }) => ({
+    updateOne: { filter: { _id }, update: { "activity.total_likes": total } },
+  })));
+
+  console.log(`migrated likes for ${counts.length} blogs`);
 };
 
-const verifyJTW = (req, res, next) => {
+migrateLikes().catch((err) => console.log(err.message));
+
+// comments saved before moderation existed are all live
+Comment.updateMany({ status: { $exists: false } }, { status: "visible" })
+  .then((result) => result.modifiedCount && console.log(`marked ${result.modifiedCount} comments visible`))
+  .catch((err) => console.log(err.message));
+
+// accounts made before email verification existed are trusted as they are
+User.updateMany({ email_verified: { $exists: false } }, { email_verified: true })
+  .then((result) => result.modifiedCount && console.log(`marked ${result.modifiedCount} users verified`))
+  .catch((err) => console.log(err.message));
+
+// accounts made before digests existed never asked for them, so they stay
+// off until the user turns them on
+User.updateMany({ email_digest: { $exists: false } }, { email_digest: "off" })
+  .then((result) => result.modifiedCount && console.log(`set the email digest of ${result.modifiedCount} users`))
+  .catch((err) => console.log(err.message));
+
+// access tokens are short lived, refresh tokens rotate on every use
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const VERIFY_EMAIL_EXPIRES_IN = process.env.VERIFY_EMAIL_EXPIRES_IN || "24h";
+const RESET_TOKEN_EXPIRES_MINUTES = Number(process.env.RESET_TOKEN_EXPIRES_MINUTES) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const generateRefreshToken = () => {
+  return crypto.randomBytes(40).toString("hex");
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+};
+
+const signAccessToken = (user_id, session_id) => {
+  return jwt.sign(
+    { id: user_id, sid: session_id },
+    process.env.SECRET_ACCESS_KEY,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Resolves the access token on the request and fills in req.user, req.role
+// and friends. Rejects with { status, error } when it can't.
+const authenticate = (req) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
   if (token == null) {
-    return res.status(401).json({ error: "No access token" });
+    return Promise.reject({ status: 401, error: "No access token" });
   }
 
-  jwt.verify(token, process.env.SECRET_ACCESS_KEY, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: "Access token is invalid" });
-    }
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, process.env.SECRET_ACCESS_KEY, async (err, payload) => {
+      if (err) {
+        if (err.name == "TokenExpiredError") {
+          return reject({ status: 401, error: "Access token has expired" });
+        }
+        return reject({ status: 403, error: "Access token is invalid" });
+      }
 
-    req.user = user.id;
-    req.admin = user.admin;
-    next();
+      try {
+        // the role is read from the users collection on every request so
+        // that demoting someone takes effect without waiting for expiry
+        let [user, session] = await Promise.all([
+          User.findOne({ _id: payload.id }).select("admin role email_verified"),
+          Session.exists({
+            _id: payload.sid,
+            user: payload.id,
+            revoked: false,
+            expiresAt: { $gt: new Date() },
+          }),
+        ]);
+
+        if (!user || !session) {
+          return reject({ status: 401, error: "Session has been revoked" });
+        }
+
+        req.user = payload.id;
+        req.role = roleOf(user);
+        req.admin = req.role == "admin";
+        req.email_verified = user.email_verified;
+        req.session_id = payload.sid;
+        resolve();
+      } catch (err) {
+        reject({ status: 500, error: err.message });
+      }
+    });
   });
 };
 
-const formatDatatoSend = (user) => {
-  const access_token = jwt.sign(
-    { id: user._id, admin: user.admin },
-    process.env.SECRET_ACCESS_KEY
-  );
+const verifyJTW = (req, res, next) => {
+  authenticate(req)
+    .then(() => next())
+    .catch(({ status, error }) => res.status(status).json({ error }));
+};
+
+// for public routes that show more to signed in users; a missing or bad
+// token just means the request is treated as anonymous
+const optionalJTW = (req, res, next) => {
+  authenticate(req)
+    .catch(() => {})
+    .then(() => next());
+};
+
+const formatDatatoSend = async (user) => {
+  const refresh_token = generateRefreshToken();
+
+  const session = await new Session({
+    user: user._id,
+    refresh_token: hashToken(refresh_token),
+    expiresAt: refreshTokenExpiry(),
+  }).save();
+
+  const access_token = signAccessToken(user._id, session._id);
+
   return {
     access_token,
+    refresh_token,
     profile_img: user.personal_info.profile_img,
     username: user.personal_info.username,
     fullname: user.personal_info.fullname,
-    isAdmin: user.admin
+    isAdmin: roleOf(user) == "admin",
+    role: roleOf(user),
+    email_verified: user.email_verified
+  };
+};
+
+// must come after verifyJTW, passes when the user holds any of the permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some((permission) => hasPermission(req.role, permission))) {
+      return res.status(403).json({ error: "You do not have permission to do this" });
+    }
+    next();
   };
 };
 
+// owners need the ":own" variant of a permission, everyone else the ":any" one
+const canActOn = (req, ownerId, action) => {
+  let scope = String(ownerId) == String(req.user) ? "own" : "any";
+  return hasPermission(req.role, `${action}:${scope}`);
+};
+
+// must come after verifyJTW
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.email_verified) {
+    return res.status(403).json({ error: "Please verify your email address first" });
+  }
+  next();
+};
+
+const sendVerificationEmail = (user) => {
+  // the email is part of the token so the link dies if the address changes
+  const token = jwt.sign(
+    { id: user._id, email: user.personal_info.email, purpose: "verify-email" },
+    process.env.SECRET_ACCESS_KEY,
+    { expiresIn: VERIFY_EMAIL_EXPIRES_IN }
+  );
+
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.personal_info.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.personal_info.fullname},\n\nPlease confirm your email address by opening the link below.\n\n${link}\n\nUntil you do, you won't be able to comment on or like posts.`,
+    html: `<p>Hi ${escapeHTML(user.personal_info.fullname)},</p><p>Please confirm your email address by opening the link below.</p><p><a href="${link}">Verify email</a></p><p>Until you do, you won't be able to comment on or like posts.</p>`,
+  });
+};
+
 const generateUsername = async (email) => {
   let username = email.split("@")[0];
   let isUsernameNotUnique = await User.exists({
@@ -111,19 +311,99 @@ const generateUsername = async (email) => {
   return username;
 };
 
-// upload image url route
-server.get("/get-upload-url", async (req, res) => {
-  generateUploadURL()
-    .then((url) => {
-      return res.status(200).json({ uploadURL: url });
-    })
-    .catch((err) => {
-      return res.status(500).json({ error: err.message });
+const MINUTE = 60 * 1000;
+
+const limitByIP = (name, windowMs, max) => rateLimit({ name: `${name}:ip`, windowMs, max });
+
+// must come after verifyJTW
+const limitByAccount = (name, windowMs, max) =>
+  rateLimit({ name: `${name}:user`, windowMs, max, keyGenerator: (req) => req.user });
+
+const limitByEmail = (name, windowMs, max) =>
+  rateLimit({
+    name: `${name}:email`,
+    windowMs,
+    max,
+    keyGenerator: (req) => typeof req.body.email == "string" ? req.body.email.toLowerCase() : null,
+  });
+
+const signinLockout = createLockout({ name: "signin" });
+
+// compared against when there is no password to check, so a missing account
+// takes as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(nanoid(), 10);
+
+// Hands out where to upload one image of the given type and size, and the
+// URL it can be read from once uploaded.
+server.get("/get-upload-url", verifyJTW, limitByAccount("get-upload-url", MINUTE, 30), async (req, res) => {
+  let contentType = String(req.query.type || "").toLowerCase();
+  let size = Number(req.query.size);
+
+  let error = checkUpload(contentType, size);
+
+  if (error) {
+    return res.status(403).json({ error });
+  }
+
+  try {
+    let storage = getStorage();
+    let key = uploadKey(contentType);
+
+    let upload = await storage.createUpload({ key, contentType, size });
+
+    return res.status(200).json({ upload, url: storage.publicURL(key) });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// the local storage driver takes uploads and serves them itself, the upload
+// is authorized by the signature in the URL /get-upload-url handed out
+server.put("/uploads/:key", express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+  let storage = getStorage();
+
+  if (!storage.receive) {
+    return res.status(404).json({ error: "Uploads are not stored on this server" });
+  }
+
+  try {
+    let result = await storage.receive({
+      key: req.params.key,
+      query: req.query,
+      contentType: String(req.get("content-type") || "").toLowerCase(),
+      body: req.body,
     });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({ url: result.url });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.get("/uploads/:key", (req, res) => {
+  let storage = getStorage();
+  let file = storage.filePath && storage.filePath(req.params.key);
+
+  if (!file) {
+    return res.status(404).json({ error: "File not found" });
+  }
+
+  // file names are never reused, so the files can be cached for good
+  res.sendFile(file, {
+    headers: { "X-Content-Type-Options": "nosniff", "Cache-Control": "public, max-age=31536000, immutable" },
+  }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 404).json({ error: "File not found" });
+    }
+  });
 });
 
 // Signup Route
-server.post("/signup", (req, res) => {
+server.post("/signup", limitByIP("signup", 60 * MINUTE, 10), (req, res) => {
   let { fullname, email, password } = req.body;
 
   if (fullname.length < 3)
@@ -150,7 +430,11 @@ server.post("/signup", (req, res) => {
 
     user
       .save()
-      .then((u) => res.status(200).json(formatDatatoSend(u)))
+      .then(async (u) => {
+        sendVerificationEmail(u).catch((err) => console.log(err.message));
+
+        return res.status(200).json(await formatDatatoSend(u));
+      })
       .catch((err) => {
         if (err.code == 11000)
           return res.status(403).json({ error: "Email already exists" });
@@ -160,39 +444,48 @@ server.post("/signup", (req, res) => {
 });
 
 // Signin Route
-server.post("/signin", (req, res) => {
+server.post("/signin", limitByIP("signin", 15 * MINUTE, 30), (req, res) => {
   let { email, password } = req.body;
 
-  User.findOne({ "personal_info.email": email })
-    .then((user) => {
-      if (!user) {
-        return res.status(403).json({ error: "Email not found" });
+  // one message for every failure so it can't be used to find out which emails exist
+  let invalidCredentials = "Email or password is incorrect";
+
+  if (typeof email != "string" || typeof password != "string") {
+    return res.status(403).json({ error: invalidCredentials });
+  }
+
+  let accountKey = email.toLowerCase();
+
+  signinLockout
+    .lockedUntil(accountKey)
+    .then(async (lockedUntil) => {
+      if (lockedUntil) {
+        return tooManyRequests(res, lockedUntil, "Too many failed sign in attempts, please try again later");
       }
 
-      if (!user.google_auth) {
-        bcrypt.compare(password, user.personal_info.password, (err, result) => {
-          if (err)
-            return res
-              .status(403)
-              .json({ error: "Error occurred while signing in" });
-          if (!result) {
-            return res.status(403).json({ error: "Password is incorrect" });
-          } else {
-            return res.status(200).json(formatDatatoSend(user));
-          }
-        });
-      } else {
-        return res.status(403).json({
-          error:
-            "This email has signed up with Google. Please log in with Google.",
-        });
+      let user = await User.findOne({ "personal_info.email": accountKey });
+
+      let canUsePassword = user && !user.google_auth;
+
+      let result = await bcrypt.compare(
+        password,
+        canUsePassword ? user.personal_info.password : DUMMY_PASSWORD_HASH
+      );
+
+      if (!canUsePassword || !result) {
+        await signinLockout.recordFailure(accountKey);
+        return res.status(403).json({ error: invalidCredentials });
       }
+
+      await signinLockout.recordSuccess(accountKey);
+
+      return res.status(200).json(await formatDatatoSend(user));
     })
     .catch((err) => res.status(500).json({ error: err.message }));
 });
 
 // Google Auth Route
-server.post("/google-auth", async (req, res) => {
+server.post("/google-auth", limitByIP("google-auth", 15 * MINUTE, 30), async (req, res) => {
   let { access_token } = req.body;
 
   getAuth()
@@ -202,7 +495,7 @@ server.post("/google-auth", async (req, res) => {
       picture = picture.replace("s96-c", "s384-c");
 
       let user = await User.findOne({ "personal_info.email": email })
-        .select("personal_info.username personal_info.profile_img google_auth")
+        .select("personal_info.username personal_info.fullname personal_info.profile_img google_auth admin role email_verified")
         .catch((err) => res.status(500).json({ error: err.message }));
 
       if (user) {
@@ -212,11 +505,18 @@ server.post("/google-auth", async (req, res) => {
               "This email has signed up with password. Please log in with password.",
           });
         }
+
+        if (!user.email_verified) {
+          // google has already confirmed the address for us
+          user.email_verified = true;
+          await user.save();
+        }
       } else {
         let username = await generateUsername(email);
         user = new User({
           personal_info: { fullname: name, email, username },
           google_auth: true,
+          email_verified: true,
         });
 
         await user
@@ -225,7 +525,7 @@ server.post("/google-auth", async (req, res) => {
           .catch((err) => res.status(500).json({ error: err.message }));
       }
 
-      return res.status(200).json(formatDatatoSend(user));
+      return res.status(200).json(await formatDatatoSend(user));
     })
     .catch(() => {
       return res
@@ -236,7 +536,7 @@ server.post("/google-auth", async (req, res) => {
     });
 });
 
-server.post("/change-password", verifyJTW, (req, res) => {
+server.post("/change-password", limitByIP("change-password", 15 * MINUTE, 20), verifyJTW, limitByAccount("change-password", 15 * MINUTE, 5), (req, res) => {
   let { currentPassword, newPassword } = req.body;
 
   if (!passwordRegex.test(currentPassword) || !passwordRegex.test(newPassword)) { 
@@ -263,7 +563,15 @@ server.post("/change-password", verifyJTW, (req, res) => {
 
         User.findOneAndUpdate({ _id: req.user }, { "personal_info.password": hashed_password })
         .then((u) => {
-          return res.status(200).json({ status: "Password changed successfully" });
+          // sign out every other device that was using the old password
+          return Session.updateMany({ user: req.user, _id: { $ne: req.session_id } }, { revoked: true })
+          .then(() => {
+            return res.status(200).json({ status: "Password changed successfully" });
+          })
+          .catch((err) => {
+            console.log(err.message);
+            return res.status(500).json({ error: "Your password was changed, but your other devices could not be signed out, please log out of all devices" });
+          });
         })
         .catch((err) => {
           return res.status(500).json({ error: "Some error occured while saving new password, please try again later" });
@@ -279,565 +587,3314 @@ server.post("/change-password", verifyJTW, (req, res) => {
   })
 });
 
-server.post("/latest-blogs", (req, res) => {
-  let { page } = req.body;
+server.post("/verify-email", (req, res) => {
+  let { token } = req.body;
 
-  let maxLimit = 5;
+  if (!token) {
+    return res.status(403).json({ error: "Verification token is missing" });
+  }
 
-  Blog.find({ draft: false })
-    .populate(
-      "author",
-      "personal_info.profile_img personal_info.username personal_info.fullname -_id"
+  jwt.verify(token, process.env.SECRET_ACCESS_KEY, (err, payload) => {
+    if (err || payload.purpose != "verify-email") {
+      return res.status(403).json({ error: "Verification link is invalid or has expired" });
+    }
+
+    User.findOneAndUpdate(
+      { _id: payload.id, "personal_info.email": payload.email },
+      { email_verified: true }
     )
-    .sort({ publishedAt: -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .skip((page - 1) * maxLimit)
-    .limit(maxLimit)
-    .then((blogs) => {
-      return res.status(200).json({ blogs });
-    })
-    .catch((err) => {
-      return res.status(500).json({ error: err.message });
-    });
+      .then((user) => {
+        if (!user) {
+          return res.status(403).json({ error: "Verification link is invalid or has expired" });
+        }
+        return res.status(200).json({ status: "Email verified", email_verified: true });
+      })
+      .catch((err) => {
+        return res.status(500).json({ error: err.message });
+      });
+  });
 });
 
-server.post("/all-latest-blogs-count", (req, res) => {
-  Blog.countDocuments({ draft: false })
-    .then((count) => {
-      return res.status(200).json({ totalDocs: count });
+server.post("/resend-verification-email", verifyJTW, limitByAccount("resend-verification", 60 * MINUTE, 5), (req, res) => {
+  User.findOne({ _id: req.user })
+    .select("personal_info.fullname personal_info.email email_verified")
+    .then(async (user) => {
+      if (user.email_verified) {
+        return res.status(403).json({ error: "Your email is already verified" });
+      }
+
+      await sendVerificationEmail(user);
+
+      return res.status(200).json({ status: "Verification email sent" });
     })
     .catch((err) => {
-      console.log(err.message);
-      return res.status(500).json({ error: err.message });
+      console.log(err);
+      return res.status(500).json({ error: "Some error occured while sending the verification email, please try again later" });
     });
 });
 
-server.get("/trending-blogs", (req, res) => {
-  Blog.find({ draft: false })
-    .populate(
-      "author",
-      "personal_info.profile_img personal_info.username personal_info.fullname -_id"
-    )
-    .sort({
-      "activity.total_read": -1,
-      "activity.total_likes": -1,
-      publishedAt: -1,
-    })
-    .select("blog_id title publishedAt -_id")
-    .limit(5)
-    .then((blogs) => {
-      return res.status(200).json({ blogs });
+server.post("/forgot-password", limitByIP("forgot-password", 60 * MINUTE, 10), limitByEmail("forgot-password", 60 * MINUTE, 3), (req, res) => {
+  let { email } = req.body;
+
+  if (!email || !emailRegex.test(email)) {
+    return res.status(403).json({ error: "Email is not valid" });
+  }
+
+  // the same answer is sent whether or not the email belongs to an account
+  let status = "If an account exists for this email, a reset link has been sent";
+
+  User.findOne({ "personal_info.email": email.toLowerCase() })
+    .select("personal_info.fullname personal_info.email google_auth")
+    .then(async (user) => {
+      if (!user) {
+        return res.status(200).json({ status });
+      }
+
+      // google accounts have no password to reset, which only the owner is
+      // told so the answer doesn't give the account away
+      if (user.google_auth) {
+        await sendMail({
+          to: user.personal_info.email,
+          subject: "Reset your password",
+          text: `Hi ${user.personal_info.fullname},\n\nSomeone asked to reset the password of your account, but you sign in with Google so there is no password to reset. Use "Continue with Google" to log in.\n\nIf you did not ask for this, you can ignore this email.`,
+          html: `<p>Hi ${escapeHTML(user.personal_info.fullname)},</p><p>Someone asked to reset the password of your account, but you sign in with Google so there is no password to reset. Use "Continue with Google" to log in.</p><p>If you did not ask for this, you can ignore this email.</p>`,
+        });
+
+        return res.status(200).json({ status });
+      }
+
+      // only the newest link works
+      await PasswordReset.deleteMany({ user: user._id, used: false });
+
+      let token = crypto.randomBytes(32).toString("hex");
+
+      await new PasswordReset({
+        user: user._id,
+        token: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_EXPIRES_MINUTES * 60 * 1000),
+      }).save();
+
+      let link = `${CLIENT_URL}/reset-password?token=${token}`;
+
+      await sendMail({
+        to: user.personal_info.email,
+        subject: "Reset your password",
+        text: `Hi ${user.personal_info.fullname},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_EXPIRES_MINUTES} minutes and can only be used once.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHTML(user.personal_info.fullname)},</p><p>Use the link below to choose a new password. It expires in ${RESET_TOKEN_EXPIRES_MINUTES} minutes and can only be used once.</p><p><a href="${link}">Reset password</a></p><p>If you did not ask for this, you can ignore this email.</p>`,
+      });
+
+      return res.status(200).json({ status });
     })
     .catch((err) => {
-      return res.status(500).json({ error: err.message });
+      console.log(err);
+      return res.status(500).json({ error: "Some error occured while sending the reset email, please try again later" });
     });
 });
 
-server.post("/search-blogs", (req, res) => {
-  let { tag, query, author, page, limit, eliminate_blog } = req.body;
+server.post("/reset-password", (req, res) => {
+  let { token, newPassword } = req.body;
 
-  let findQuery;
+  if (!token) {
+    return res.status(403).json({ error: "Reset token is missing" });
+  }
 
-  if (tag) {
-    findQuery = { tags: tag, draft: false, blog_id: { $ne: eliminate_blog } };
-  } else if (query) {
-    findQuery = { draft: false, title: new RegExp(query, "i") };
-  } else if (author) {
-    findQuery = { author, draft: false };
+  if (!passwordRegex.test(newPassword)) {
+    return res.status(403).json({ error: "Password must be 6 to 20 characters long and contain at least one numeric digit, one uppercase and  one lowercase letter" });
   }
 
-  let maxLimit = limit ? limit : 2;
+  // claiming the token and marking it used happens in one step so it can
+  // never be redeemed twice
+  PasswordReset.findOneAndUpdate(
+    { token: hashToken(token), used: false, expiresAt: { $gt: new Date() } },
+    { used: true }
+  )
+    .then(async (reset) => {
+      if (!reset) {
+        return res.status(403).json({ error: "Reset link is invalid or has expired" });
+      }
 
-  Blog.find(findQuery)
-    .populate(
-      "author",
-      "personal_info.profile_img personal_info.username personal_info.fullname -_id"
-    )
-    .sort({ publishedAt: -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .limit(maxLimit)
-    .skip((page - 1) * maxLimit)
-    .then((blogs) => {
-      return res.status(200).json({ blogs });
+      let user = await User.findOne({ _id: reset.user }).select("google_auth");
+
+      if (!user) {
+        return res.status(403).json({ error: "Reset link is invalid or has expired" });
+      }
+
+      if (user.google_auth) {
+        return res.status(403).json({ error: "You can not reset password for account because you have logged in through google" });
+      }
+
+      let hashed_password = await bcrypt.hash(newPassword, 10);
+
+      await User.findOneAndUpdate({ _id: user._id }, { "personal_info.password": hashed_password });
+
+      // whoever knew the old password should not stay signed in
+      await Session.updateMany({ user: user._id }, { revoked: true });
+
+      return res.status(200).json({ status: "Password has been reset, please sign in" });
     })
     .catch((err) => {
-      return res.status(500).json({ error: err.message });
+      console.log(err);
+      return res.status(500).json({ error: "Some error occured while resetting the password, please try again later" });
     });
 });
 
-server.post("/search-blogs-count", (req, res) => {
-  let { tag, author, query } = req.body;
-
-  let findQuery;
+server.post("/refresh-token", (req, res) => {
+  let { refresh_token } = req.body;
 
-  if (tag) {
-    findQuery = { tags: tag, draft: false };
-  } else if (query) {
-    findQuery = { draft: false, title: RegExp(query, "i") };
-  } else if (author) {
-    findQuery = { author, draft: false };
+  if (!refresh_token) {
+    return res.status(401).json({ error: "No refresh token" });
   }
 
-  Blog.countDocuments(findQuery)
-    .then((count) => {
-      return res.status(200).json({ totalDocs: count });
+  let tokenHash = hashToken(refresh_token);
+
+  let newRefreshToken = generateRefreshToken();
+
+  // checking the token and replacing it is one update, so of two requests
+  // with the same token only one can win and the other counts as reuse
+  Session.findOneAndUpdate(
+    { refresh_token: tokenHash, revoked: false, expiresAt: { $gt: new Date() } },
+    {
+      refresh_token: hashToken(newRefreshToken),
+      expiresAt: refreshTokenExpiry(),
+      $push: { rotated_tokens: tokenHash },
+    },
+    { new: true }
+  )
+    .then(async (session) => {
+      if (!session) {
+        if (await Session.exists({ refresh_token: tokenHash })) {
+          return res.status(401).json({ error: "Refresh token has expired" });
+        }
+
+        // a token that was already rotated out is being replayed, so the
+        // whole session is treated as stolen and shut down
+        let reused = await Session.findOneAndUpdate(
+          { rotated_tokens: tokenHash },
+          { revoked: true }
+        );
+
+        if (reused) {
+          console.log("refresh token reuse detected, session revoked");
+        }
+
+        return res.status(401).json({ error: "Refresh token is invalid" });
+      }
+
+      return res.status(200).json({
+        access_token: signAccessToken(session.user, session._id),
+        refresh_token: newRefreshToken,
+      });
     })
     .catch((err) => {
-      console.log(err.message);
-      return res.status(200).json({ error: err.message });
+      return res.status(500).json({ error: err.message });
     });
 });
 
-server.post("/search-users", (req, res) => {
-  let { query } = req.body;
-
-  User.find({ "personal_info.username": new RegExp(query, "i") })
-    .limit(50)
-    .select(
-      "personal_info.fullname personal_info.username personal_info.profile_img -_id"
-    )
-    .then((users) => {
-      return res.status(200).json({ users });
+server.post("/logout", verifyJTW, (req, res) => {
+  Session.findOneAndUpdate({ _id: req.session_id }, { revoked: true })
+    .then(() => {
+      return res.status(200).json({ status: "Logged out" });
     })
     .catch((err) => {
       return res.status(500).json({ error: err.message });
     });
 });
 
-server.post("/get-profile", (req, res) => {
-  let { username } = req.body;
-
-  User.findOne({ "personal_info.username": username })
-    .select("-personal_info.password -google_auth -updateAt -blogs")
-    .then(user => {
-      return res.status(200).json(user);
+server.post("/logout-all", verifyJTW, (req, res) => {
+  Session.updateMany({ user: req.user, revoked: false }, { revoked: true })
+    .then((result) => {
+      return res.status(200).json({ status: "Logged out everywhere", sessions: result.modifiedCount });
     })
-    .catch(err => {
-      console.log(err);
+    .catch((err) => {
       return res.status(500).json({ error: err.message });
     });
 });
 
-server.post("/update-profile-img", verifyJTW, (req, res) => {
+const ACCOUNT_DELETE_REAUTH_SECONDS = 5 * 60;
+const COMMENT_DELETE_MODES = ["delete", "anonymize"];
+const DELETED_USER_NAME = "[deleted]";
+
+// A blog as a Markdown file, with front matter the importer reads back
+const blogMarkdown = (blog) => {
+  let frontMatter = [
+    "---",
+    `title: ${JSON.stringify(blog.title || "")}`,
+    `description: ${JSON.stringify(blog.des || "")}`,
+    `tags: [${(blog.tags || []).map((tag) => JSON.stringify(tag)).join(", ")}]`,
+    `banner: ${JSON.stringify(blog.banner || "")}`,
+    `published: ${blog.draft ? "false" : "true"}`,
+    `date: ${new Date(blog.publishedAt).toISOString()}`,
+    "---",
+  ];
+
+  return `${frontMatter.join("\n")}\n\n${render(blog.content, "markdown")}\n`;
+};
 
-  let { url } = req.body;
+server.post("/export-account", limitByIP("export-account", 15 * MINUTE, 10), verifyJTW, limitByAccount("export-account", 15 * MINUTE, 3), async (req, res) => {
+  let user_id = req.user;
 
-  User.findOneAndUpdate({ _id: req.user }, { "personal_info.profile_img": url })
-  .then(() => {
+  try {
+    let user = await User.findById(user_id).select("-personal_info.password -blogs -__v").lean();
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    let [blogs, comments, notifications, likes, following, readingLists] = await Promise.all([
+      Blog.find({ author: user_id }).select("-author -comments -__v").sort({ publishedAt: -1 }).lean(),
+      Comment.find({ commented_by: user_id })
+        .populate("blog_id", "blog_id title -_id")
+        .select("blog_id comment isReply parent edited editedAt commentedAt updatedAt")
+        .sort({ commentedAt: -1 })
+        .lean(),
+      Notification.find({ notification_for: user_id })
+        .populate("blog", "blog_id title -_id")
+        .populate("user", "personal_info.username -_id")
+        .select("type blog user comment reply seen createdAt")
+        .sort({ createdAt: -1 })
+        .lean(),
+      Like.find({ user: user_id }).populate("blog", "blog_id title -_id").select("blog likedAt -_id").lean(),
+      Follow.find({ follower: user_id }).populate("following", "personal_info.username -_id").select("following followedAt -_id").lean(),
+      ReadingList.find({ owner: user_id })
+        .populate("items.blog", "blog_id title -_id")
+        .select("name description is_public is_default items createdAt")
+        .lean(),
+    ]);
+
+    let json = (data) => Buffer.from(JSON.stringify(data, null, 2));
+
+    let zip = new AdmZip();
+
+    zip.addFile("account.json", json({ ...user, exported_at: new Date() }));
+    zip.addFile("blogs.json", json(blogs));
+    zip.addFile("comments.json", json(comments));
+    zip.addFile("notifications.json", json(notifications));
+    zip.addFile("likes.json", json(likes));
+    zip.addFile("following.json", json({ users: following, tags: user.following_tags || [] }));
+    zip.addFile("reading-lists.json", json(readingLists));
+
+    blogs.forEach((blog) => {
+      zip.addFile(`${blog.draft ? "drafts" : "posts"}/${blog.blog_id}.md`, Buffer.from(blogMarkdown(blog)));
+    });
+
+    let filename = `${SITE_NAME}-${user.personal_info.username}-${new Date().toISOString().slice(0, 10)}.zip`
+      .toLowerCase()
+      .replace(/[^a-z0-9.-]+/g, "-");
+
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(zip.toBuffer());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Password accounts confirm with their password, Google accounts with an id
+// token from a sign-in made in the last few minutes.
+const reauthenticate = async (user, { password, access_token }) => {
+  if (user.google_auth) {
+    let decodedUser = await getAuth().verifyIdToken(access_token || "").catch(() => null);
+
+    return Boolean(
+      decodedUser &&
+      decodedUser.email == user.personal_info.email &&
+      Date.now() / 1000 - decodedUser.auth_time < ACCOUNT_DELETE_REAUTH_SECONDS
+    );
+  }
+
+  if (typeof password != "string" || !user.personal_info.password) return false;
+
+  return bcrypt.compare(password, user.personal_info.password);
+};
+
+server.post("/delete-account", limitByIP("delete-account", 15 * MINUTE, 20), verifyJTW, limitByAccount("delete-account", 15 * MINUTE, 5), async (req, res) => {
+  let user_id = req.user;
+
+  let { comments } = req.body;
+
+  if (!COMMENT_DELETE_MODES.includes(comments)) {
+    return res.status(403).json({ error: `Please choose what happens to your comments, one of ${COMMENT_DELETE_MODES.join(", ")}` });
+  }
+
+  try {
+    let user = await User.findById(user_id).select("personal_info.email personal_info.password google_auth");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!(await reauthenticate(user, req.body))) {
+      return res.status(403).json({
+        error: user.google_auth ? "Please sign in with Google again to confirm" : "Password is incorrect",
+      });
+    }
+
+    // sign out first so nothing new is written while the account goes away
+    await Session.updateMany({ user: user_id }, { revoked: true });
+
+    // own blogs, with everything on them (including other people's comments)
+    let blogs = await Blog.find({ author: user_id }).select("_id");
+    await Blog.deleteMany({ author: user_id });
+    await Promise.all(blogs.map((blog) => cleanUpBlog(blog._id)));
+
+    // comments on other people's blogs
+    if (comments == "delete") {
+      // replies under them go too, the same as /delete-comment
+      let own = await Comment.find({ commented_by: user_id }).select("_id");
+
+      for (let comment of own) {
+        await deleteComments(comment._id);
+      }
+    } else {
+      await Comment.updateMany(
+        { commented_by: user_id },
+        { $unset: { commented_by: 1 }, $set: { guest_author: { name: DELETED_USER_NAME } } }
+      );
+    }
+
+    // open reports made, keeping report_count right on the comments
+    let reports = await CommentReport.find({ reported_by: user_id, resolved: false }).select("comment");
+
+    await Comment.updateMany({ _id: { $in: reports.map((report) => report.comment) } }, { $inc: { report_count: -1 } });
+    await CommentReport.deleteMany({ reported_by: user_id });
+
+    // likes given, keeping total_likes right on the blogs and comments that got them
+    let likes = await Like.find({ user: user_id }).select("blog");
+
+    if (likes.length) {
+      await Blog.updateMany({ _id: { $in: likes.map((like) => like.blog) } }, { $inc: { "activity.total_likes": -1 } });
+      await Like.deleteMany({ user: user_id });
+    }
+
+    let commentLikes = await CommentLike.find({ user: user_id }).select("comment");
+
+    if (commentLikes.length) {
+      await Comment.updateMany({ _id: { $in: commentLikes.map((like) => like.comment) } }, { $inc: { total_likes: -1 } });
+      await CommentLike.deleteMany({ user: user_id });
+    }
+
+    // follows both ways, keeping the other side's counts right
+    let [following, followers] = await Promise.all([
+      Follow.find({ follower: user_id }).select("following"),
+      Follow.find({ following: user_id }).select("follower"),
+    ]);
+
+    await User.updateMany(
+      { _id: { $in: following.map((follow) => follow.following) } },
+      { $inc: { "account_info.total_followers": -1 } }
+    );
+    await User.updateMany(
+      { _id: { $in: followers.map((follow) => follow.follower) } },
+      { $inc: { "account_info.total_following": -1 } }
+    );
+    await Follow.deleteMany({ $or: [{ follower: user_id }, { following: user_id }] });
+
+    await Promise.all([
+      User.updateMany({ muted_users: user_id }, { $pull: { muted_users: user_id } }),
+      Notification.deleteMany({ $or: [{ notification_for: user_id }, { user: user_id }] }),
+      ReadingList.deleteMany({ owner: user_id }),
+      NotificationDigest.deleteMany({ user: user_id }),
+      PasswordReset.deleteMany({ user: user_id }),
+      Session.deleteMany({ user: user_id }),
+    ]);
+
+    await User.deleteOne({ _id: user_id });
+
+    return res.status(200).json({ status: "Account deleted" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/assign-role", verifyJTW, requirePermission("user:assign-role"), (req, res) => {
+  let { username, role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(403).json({ error: `Role must be one of ${ROLES.join(", ")}` });
+  }
+
+  User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then((user) => {
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      if (String(user._id) == String(req.user)) {
+        return res.status(403).json({ error: "You can not change your own role" });
+      }
+
+      // `admin` is kept in step with the role for older clients reading it
+      return User.findOneAndUpdate({ _id: user._id }, { role, admin: role == "admin" })
+        .then(() => {
+          return res.status(200).json({ username, role });
+        });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/latest-blogs", (req, res) => {
+  let { page } = req.body;
+
+  let maxLimit = 5;
+
+  Blog.find({ draft: false })
+    .populate(
+      "author",
+      "personal_info.profile_img personal_info.username personal_info.fullname -_id"
+    )
+    .sort({ publishedAt: -1 })
+    .select("blog_id title des banner activity tags publishedAt -_id")
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .then((blogs) => {
+      return res.status(200).json({ blogs });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/all-latest-blogs-count", (req, res) => {
+  Blog.countDocuments({ draft: false })
+    .then((count) => {
+      return res.status(200).json({ totalDocs: count });
+    })
+    .catch((err) => {
+      console.log(err.message);
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+// Counts a read, like or comment in the blog's bucket for the current hour.
+// Counts activity in the bucket of the hour it happened in. Taking activity
+// back (amount < 0) only touches a bucket that still counts some, so undoing
+// something from before the buckets were kept can't push a score down.
+const recordActivity = (blog, field, amount = 1, at = new Date()) => {
+  if (amount < 0) {
+    return BlogActivity.updateOne(
+      { blog, hour: hourBucket(at), [field]: { $gte: -amount } },
+      { $inc: { [field]: amount } }
+    ).catch((err) => console.log("failed to record activity", err.message));
+  }
+
+  return BlogActivity.updateOne(
+    { blog, hour: hourBucket(at) },
+    { $inc: { [field]: amount } },
+    { upsert: true }
+  ).catch((err) => console.log("failed to record activity", err.message));
+};
+
+const refreshTrendingScores = async () => {
+  let now = new Date();
+
+  for (let window of TRENDING_WINDOWS) {
+    let scores = await BlogActivity.aggregate(trendingScorePipeline(window, now));
+
+    // drafts and deleted blogs can still have activity buckets
+    let blogs = await Blog.find({ _id: { $in: scores.map(({ _id }) => _id) }, draft: false })
+      .select("tags");
+
+    let tagsOf = new Map(blogs.map((blog) => [String(blog._id), blog.tags]));
+
+    let writes = scores
+      .filter(({ _id }) => tagsOf.has(String(_id)))
+      .map(({ _id, score }) => ({
+        updateOne: {
+          filter: { blog: _id, window },
+          update: { score, tags: tagsOf.get(String(_id)), computedAt: now },
+          upsert: true,
+        },
+      }));
+
+    if (writes.length) {
+      await TrendingScore.bulkWrite(writes, { ordered: false });
+    }
+
+    await TrendingScore.deleteMany({ window, computedAt: { $lt: now } });
+  }
+};
+
+server.get("/trending-blogs", (req, res) => {
+  let { window = DEFAULT_TRENDING_WINDOW, tag } = req.query;
+
+  if (!TRENDING_WINDOWS.includes(window)) {
+    return res.status(403).json({ error: `Window must be one of ${TRENDING_WINDOWS.join(", ")}` });
+  }
+
+  let findQuery = { window };
+
+  if (tag) {
+    findQuery.tags = String(tag).toLowerCase();
+  }
+
+  TrendingScore.find(findQuery)
+    .sort({ score: -1 })
+    .limit(5)
+    .populate({
+      path: "blog",
+      match: { draft: false },
+      select: "blog_id title publishedAt author -_id",
+      populate: {
+        path: "author",
+        select: "personal_info.profile_img personal_info.username personal_info.fullname -_id",
+      },
+    })
+    .then(async (scores) => {
+      let blogs = scores.filter(({ blog }) => blog).map(({ blog }) => blog);
+
+      if (blogs.length) {
+        return res.status(200).json({ blogs, window });
+      }
+
+      // nothing scored yet (fresh install, or a quiet window), fall back to
+      // lifetime totals so the section is never empty
+      let fallbackQuery = { draft: false };
+      if (tag) fallbackQuery.tags = String(tag).toLowerCase();
+
+      blogs = await Blog.find(fallbackQuery)
+        .populate(
+          "author",
+          "personal_info.profile_img personal_info.username personal_info.fullname -_id"
+        )
+        .sort({
+          "activity.total_reads": -1,
+          "activity.total_likes": -1,
+          publishedAt: -1,
+        })
+        .select("blog_id title publishedAt -_id")
+        .limit(5);
+
+      return res.status(200).json({ blogs, window });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+const FEED_LIMIT = 20;
+
+// Builds and sends a syndication feed of the newest published blogs
+// matching findQuery. Answers 304 when the client's copy is still current.
+const sendFeed = async (req, res, { findQuery, title, description, link }) => {
+  let { format } = req.params;
+
+  if (!FEED_FORMATS.includes(format)) {
+    return res.status(404).json({ error: `Feed format must be one of ${FEED_FORMATS.join(", ")}` });
+  }
+
+  let blogs = await Blog.find({ ...findQuery, draft: false })
+    .populate("author", "personal_info.fullname personal_info.username -_id")
+    .sort({ publishedAt: -1 })
+    .limit(FEED_LIMIT)
+    .select("blog_id title des banner content tags publishedAt updatedAt author -_id");
+
+  blogs.forEach((blog) => {
+    if (!blog.updatedAt) blog.updatedAt = blog.publishedAt;
+  });
+
+  let updated = blogs.reduce(
+    (latest, blog) => (blog.updatedAt > latest ? blog.updatedAt : latest),
+    new Date(0)
+  );
+
+  let etag = crypto
+    .createHash("sha1")
+    .update(format + blogs.map((blog) => `${blog.blog_id}:${blog.updatedAt.getTime()}`).join(","))
+    .digest("base64url");
+
+  res.set("ETag", `W/"${etag}"`);
+  res.set("Last-Modified", updated.toUTCString());
+  res.set("Cache-Control", "public, max-age=300");
+
+  // express compares If-None-Match / If-Modified-Since against the headers above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let items = blogs.map((blog) => ({
+    id: `${CLIENT_URL}/blog/${blog.blog_id}`,
+    url: `${CLIENT_URL}/blog/${blog.blog_id}`,
+    title: blog.title,
+    summary: blog.des,
+    content_html: renderHTML(blog.content),
+    image: blog.banner,
+    tags: blog.tags,
+    published: blog.publishedAt,
+    updated: blog.updatedAt,
+    author: blog.author && {
+      name: blog.author.personal_info.fullname,
+      url: `${CLIENT_URL}/user/${blog.author.personal_info.username}`,
+    },
+  }));
+
+  let feed = buildFeed(format, {
+    title,
+    description,
+    link,
+    self: `${SERVER_URL}${req.originalUrl.split("?")[0]}`,
+    updated,
+  }, items);
+
+  return res.status(200).type(feed.type).send(feed.body);
+};
+
+server.get("/feeds/:format", (req, res) => {
+  sendFeed(req, res, {
+    findQuery: {},
+    title: SITE_NAME,
+    description: `Latest posts on ${SITE_NAME}`,
+    link: CLIENT_URL,
+  }).catch((err) => res.status(500).json({ error: err.message }));
+});
+
+server.get("/feeds/tag/:tag/:format", (req, res) => {
+  let tag = req.params.tag.toLowerCase();
+
+  sendFeed(req, res, {
+    findQuery: { tags: tag },
+    title: `${SITE_NAME}: ${tag}`,
+    description: `Latest posts tagged ${tag} on ${SITE_NAME}`,
+    link: `${CLIENT_URL}/search/${encodeURIComponent(tag)}`,
+  }).catch((err) => res.status(500).json({ error: err.message }));
+});
+
+server.get("/feeds/author/:username/:format", (req, res) => {
+  User.findOne({ "personal_info.username": req.params.username })
+    .select("personal_info.fullname personal_info.username")
+    .then((user) => {
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      return sendFeed(req, res, {
+        findQuery: { author: user._id },
+        title: `${user.personal_info.fullname} on ${SITE_NAME}`,
+        description: `Latest posts by ${user.personal_info.fullname}`,
+        link: `${CLIENT_URL}/user/${user.personal_info.username}`,
+      });
+    })
+    .catch((err) => res.status(500).json({ error: err.message }));
+});
+
+// Tag, author and text filters combine; blog ids in eliminate_blog are left
+// out (used to hide the post being read from its "similar posts" list).
+const blogSearchQuery = ({ tag, tags, author, query, prefix, eliminate_blog }) => {
+  let findQuery = { draft: false };
+
+  let tagList = [].concat(tags || [], tag || []).map((t) => String(t).toLowerCase());
+
+  if (tagList.length) {
+    findQuery.tags = { $all: tagList };
+  }
+
+  // the search runs as an aggregation, which mongoose doesn't cast, and an
+  // id that isn't one matches nobody
+  if (author) {
+    findQuery.author = mongoose.isValidObjectId(author) ? new mongoose.Types.ObjectId(author) : { $in: [] };
+  }
+
+  if (eliminate_blog) {
+    findQuery.blog_id = { $nin: [].concat(eliminate_blog) };
+  }
+
+  let parsed = parseSearchQuery(query, { prefixLast: Boolean(prefix) });
+
+  if (isEmptyQuery(parsed)) {
+    return { findQuery, parsed: null };
+  }
+
+  let { match, score } = buildBlogSearch(parsed);
+
+  return { findQuery: { ...findQuery, ...match }, parsed, score };
+};
+
+server.post("/search-blogs", (req, res) => {
+  let { page, limit } = req.body;
+
+  let maxLimit = limit ? Math.min(limit, 50) : 2;
+  let skipDocs = ((page || 1) - 1) * maxLimit;
+
+  let { findQuery, parsed, score } = blogSearchQuery(req.body);
+
+  if (!parsed) {
+    return Blog.find(findQuery)
+      .populate(
+        "author",
+        "personal_info.profile_img personal_info.username personal_info.fullname -_id"
+      )
+      .sort({ publishedAt: -1 })
+      .select("blog_id title des banner activity tags publishedAt -_id")
+      .limit(maxLimit)
+      .skip(skipDocs)
+      .then((blogs) => {
+        return res.status(200).json({ blogs });
+      })
+      .catch((err) => {
+        return res.status(500).json({ error: err.message });
+      });
+  }
+
+  Blog.aggregate([
+    { $match: findQuery },
+    { $addFields: { score } },
+    { $sort: { score: -1, publishedAt: -1 } },
+    { $skip: skipDocs },
+    { $limit: maxLimit },
+    {
+      $project: {
+        _id: 0, blog_id: 1, title: 1, des: 1, banner: 1, activity: 1,
+        tags: 1, publishedAt: 1, author: 1, search_text: 1, score: 1,
+      },
+    },
+  ])
+    .then((blogs) => Blog.populate(blogs, {
+      path: "author",
+      select: "personal_info.profile_img personal_info.username personal_info.fullname -_id",
+    }))
+    .then((blogs) => {
+      blogs = blogs.map(({ search_text, ...blog }) => ({
+        ...blog,
+        highlight: highlightBlog({ ...blog, search_text }, parsed),
+      }));
+
+      return res.status(200).json({ blogs });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/search-blogs-count", (req, res) => {
+  let { findQuery } = blogSearchQuery(req.body);
+
+  Blog.countDocuments(findQuery)
+    .then((count) => {
+      return res.status(200).json({ totalDocs: count });
+    })
+    .catch((err) => {
+      console.log(err.message);
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/search-users", (req, res) => {
+  let { query } = req.body;
+
+  let search = buildUserSearch(parseSearchQuery(query));
+
+  if (!search) {
+    return res.status(200).json({ users: [] });
+  }
+
+  User.aggregate([
+    { $match: search.match },
+    { $addFields: { score: search.score } },
+    { $sort: { score: -1, "account_info.total_reads": -1 } },
+    { $limit: 50 },
+    {
+      $project: {
+        _id: 0,
+        "personal_info.fullname": 1,
+        "personal_info.username": 1,
+        "personal_info.profile_img": 1,
+      },
+    },
+  ])
+    .then((users) => {
+      return res.status(200).json({ users });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/get-profile", (req, res) => {
+  let { username } = req.body;
+
+  User.findOne({ "personal_info.username": username })
+    .select("-personal_info.password -google_auth -updateAt -blogs -following_tags -notification_settings -muted_blogs -muted_threads -muted_users -role -email_verified -email_digest -last_digest_at")
+    .then(user => {
+      return res.status(200).json(user);
+    })
+    .catch(err => {
+      console.log(err);
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/follow-user", verifyJTW, (req, res) => {
+  let user_id = req.user;
+
+  let { username } = req.body;
+
+  User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async (user) => {
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      if (String(user._id) == String(user_id)) {
+        return res.status(403).json({ error: "You can not follow yourself" });
+      }
+
+      try {
+        await new Follow({ follower: user_id, following: user._id }).save();
+      } catch (err) {
+        // already following, following again changes nothing
+        if (err.code == 11000) {
+          return res.status(200).json({ following: true });
+        }
+        throw err;
+      }
+
+      await User.updateOne({ _id: user_id }, { $inc: { "account_info.total_following": 1 } });
+      await User.updateOne({ _id: user._id }, { $inc: { "account_info.total_followers": 1 } });
+
+      createNotification({
+        type: "follow",
+        notification_for: user._id,
+        user: user_id,
+      }).catch((err) => console.log(err.message));
+
+      return res.status(200).json({ following: true });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/unfollow-user", verifyJTW, (req, res) => {
+  let user_id = req.user;
+
+  let { username } = req.body;
+
+  User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async (user) => {
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      let removed = await Follow.findOneAndDelete({ follower: user_id, following: user._id });
+
+      if (removed) {
+        await User.updateOne({ _id: user_id }, { $inc: { "account_info.total_following": -1 } });
+        await User.updateOne({ _id: user._id }, { $inc: { "account_info.total_followers": -1 } });
+
+        Notification.findOneAndDelete({ type: "follow", notification_for: user._id, user: user_id })
+          .then(() => pushUnreadCount(user._id))
+          .catch((err) => console.log(err.message));
+      }
+
+      return res.status(200).json({ following: false });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/is-following", verifyJTW, (req, res) => {
+  let { username } = req.body;
+
+  User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async (user) => {
+      let result = user ? await Follow.exists({ follower: req.user, following: user._id }) : null;
+      return res.status(200).json({ result: Boolean(result) });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+// Lists the followers of a user, or who they follow, newest first.
+const listFollows = (direction) => (req, res) => {
+  let { username, page } = req.body;
+
+  let maxLimit = 20;
+
+  // followers: find the follows pointing at the user and show who made them
+  let [matchField, showField] = direction == "followers" ? ["following", "follower"] : ["follower", "following"];
+
+  User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async (user) => {
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      let [follows, count] = await Promise.all([
+        Follow.find({ [matchField]: user._id })
+          .populate(showField, "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+          .sort({ followedAt: -1 })
+          .skip(((page || 1) - 1) * maxLimit)
+          .limit(maxLimit),
+        Follow.countDocuments({ [matchField]: user._id }),
+      ]);
+
+      return res.status(200).json({
+        users: follows.map((follow) => follow[showField]).filter(Boolean),
+        totalDocs: count,
+      });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+};
+
+server.post("/followers", listFollows("followers"));
+
+server.post("/following", listFollows("following"));
+
+server.post("/follow-tag", verifyJTW, (req, res) => {
+  let { tag } = req.body;
+
+  if (!tag || !String(tag).trim().length) {
+    return res.status(403).json({ error: "Please provide a tag" });
+  }
+
+  User.findOneAndUpdate(
+    { _id: req.user },
+    { $addToSet: { following_tags: String(tag).trim().toLowerCase() } },
+    { new: true }
+  )
+    .select("following_tags")
+    .then((user) => {
+      return res.status(200).json({ following_tags: user.following_tags });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/unfollow-tag", verifyJTW, (req, res) => {
+  let { tag } = req.body;
+
+  User.findOneAndUpdate(
+    { _id: req.user },
+    { $pull: { following_tags: String(tag).trim().toLowerCase() } },
+    { new: true }
+  )
+    .select("following_tags")
+    .then((user) => {
+      return res.status(200).json({ following_tags: user.following_tags });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.get("/followed-tags", verifyJTW, (req, res) => {
+  User.findOne({ _id: req.user })
+    .select("following_tags")
+    .then((user) => {
+      return res.status(200).json({ following_tags: user.following_tags });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+// Published posts by followed authors or carrying a followed tag.
+const feedQuery = async (user_id) => {
+  let [user, follows] = await Promise.all([
+    User.findOne({ _id: user_id }).select("following_tags"),
+    Follow.find({ follower: user_id }).select("following"),
+  ]);
+
+  let sources = [];
+
+  if (follows.length) {
+    sources.push({ author: { $in: follows.map(({ following }) => following) } });
+  }
+
+  if (user.following_tags.length) {
+    sources.push({ tags: { $in: user.following_tags } });
+  }
+
+  if (!sources.length) {
+    return null;
+  }
+
+  return { draft: false, author: { $ne: user_id }, $or: sources };
+};
+
+server.post("/feed", verifyJTW, (req, res) => {
+  let { page } = req.body;
+
+  let maxLimit = 5;
+
+  feedQuery(req.user)
+    .then(async (findQuery) => {
+      if (!findQuery) {
+        return res.status(200).json({ blogs: [] });
+      }
+
+      let blogs = await Blog.find(findQuery)
+        .populate(
+          "author",
+          "personal_info.profile_img personal_info.username personal_info.fullname -_id"
+        )
+        .sort({ publishedAt: -1 })
+        .select("blog_id title des banner activity tags publishedAt -_id")
+        .skip(((page || 1) - 1) * maxLimit)
+        .limit(maxLimit);
+
+      return res.status(200).json({ blogs });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/feed-count", verifyJTW, (req, res) => {
+  feedQuery(req.user)
+    .then(async (findQuery) => {
+      let count = findQuery ? await Blog.countDocuments(findQuery) : 0;
+      return res.status(200).json({ totalDocs: count });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+const MAX_READING_LIST_ITEMS = 1000;
+const DEFAULT_READING_LIST_NAME = "Saved";
+
+const isReservedListName = (name) => {
+  return name.trim().toLowerCase() == DEFAULT_READING_LIST_NAME.toLowerCase();
+};
+
+const defaultReadingList = (user_id) => {
+  return ReadingList.findOneAndUpdate(
+    { owner: user_id, is_default: true },
+    { $setOnInsert: { name: DEFAULT_READING_LIST_NAME } },
+    { upsert: true, new: true }
+  );
+};
+
+// The list to bookmark into: the one named by list_id, or the default one.
+const findOwnReadingList = (user_id, list_id) => {
+  if (list_id) {
+    return ReadingList.findOne({ _id: list_id, owner: user_id });
+  }
+  return defaultReadingList(user_id);
+};
+
+server.post("/bookmark", verifyJTW, (req, res) => {
+  let { blog_id, list_id } = req.body;
+
+  if (list_id && !mongoose.isValidObjectId(list_id)) {
+    return res.status(404).json({ error: "Reading list not found" });
+  }
+
+  Promise.all([
+    Blog.findOne({ blog_id, draft: false }).select("_id"),
+    findOwnReadingList(req.user, list_id),
+  ])
+    .then(async ([blog, list]) => {
+      if (!blog) {
+        return res.status(404).json({ error: "Blog not found" });
+      }
+
+      if (!list) {
+        return res.status(404).json({ error: "Reading list not found" });
+      }
+
+      // the filter makes adding the same blog twice a no-op
+      let updated = await ReadingList.findOneAndUpdate(
+        {
+          _id: list._id,
+          "items.blog": { $ne: blog._id },
+          [`items.${MAX_READING_LIST_ITEMS - 1}`]: { $exists: false },
+        },
+        { $push: { items: { blog: blog._id } } }
+      );
+
+      if (!updated && !list.items.some((item) => String(item.blog) == String(blog._id))) {
+        return res.status(403).json({ error: `A reading list can hold at most ${MAX_READING_LIST_ITEMS} blogs` });
+      }
+
+      return res.status(200).json({ bookmarked: true, list_id: list._id });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/remove-bookmark", verifyJTW, (req, res) => {
+  // without a list_id the blog is removed from every list of the user
+  let { blog_id, list_id } = req.body;
+
+  if (list_id && !mongoose.isValidObjectId(list_id)) {
+    return res.status(404).json({ error: "Reading list not found" });
+  }
+
+  Blog.findOne({ blog_id })
+    .select("_id")
+    .then(async (blog) => {
+      if (!blog) {
+        return res.status(404).json({ error: "Blog not found" });
+      }
+
+      let findQuery = { owner: req.user };
+      if (list_id) findQuery._id = list_id;
+
+      await ReadingList.updateMany(findQuery, { $pull: { items: { blog: blog._id } } });
+
+      return res.status(200).json({ bookmarked: false });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/is-bookmarked", verifyJTW, (req, res) => {
+  let { blog_id } = req.body;
+
+  Blog.findOne({ blog_id })
+    .select("_id")
+    .then(async (blog) => {
+      let lists = blog
+        ? await ReadingList.find({ owner: req.user, "items.blog": blog._id }).select("_id")
+        : [];
+
+      return res.status(200).json({ result: lists.length > 0, list_ids: lists.map(({ _id }) => _id) });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/create-reading-list", verifyJTW, (req, res) => {
+  let { name, description, is_public } = req.body;
+
+  if (!name || !name.trim().length) {
+    return res.status(403).json({ error: "Please provide a name for the reading list" });
+  }
+
+  if (isReservedListName(name)) {
+    return res.status(403).json({ error: `"${DEFAULT_READING_LIST_NAME}" is reserved for your bookmarks` });
+  }
+
+  new ReadingList({ owner: req.user, name, description, is_public: Boolean(is_public) })
+    .save()
+    .then((list) => {
+      return res.status(200).json({ list_id: list._id, name: list.name, is_public: list.is_public });
+    })
+    .catch((err) => {
+      if (err.code == 11000) {
+        return res.status(409).json({ error: "You already have a reading list with this name" });
+      }
+      if (err.name == "ValidationError") {
+        return res.status(403).json({ error: Object.values(err.errors)[0].message });
+      }
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/update-reading-list", verifyJTW, (req, res) => {
+  let { list_id, name, description, is_public } = req.body;
+
+  if (!mongoose.isValidObjectId(list_id)) {
+    return res.status(404).json({ error: "Reading list not found" });
+  }
+
+  let updateObj = {};
+
+  if (name != undefined) {
+    if (!name.trim().length) {
+      return res.status(403).json({ error: "Please provide a name for the reading list" });
+    }
+    if (isReservedListName(name)) {
+      return res.status(403).json({ error: `"${DEFAULT_READING_LIST_NAME}" is reserved for your bookmarks` });
+    }
+    updateObj.name = name;
+  }
+  if (description != undefined) updateObj.description = description;
+  if (is_public != undefined) updateObj.is_public = Boolean(is_public);
+
+  ReadingList.findOneAndUpdate({ _id: list_id, owner: req.user }, updateObj, { new: true, runValidators: true })
+    .select("name description is_public")
+    .then((list) => {
+      if (!list) {
+        return res.status(404).json({ error: "Reading list not found" });
+      }
+      return res.status(200).json({ list });
+    })
+    .catch((err) => {
+      if (err.code == 11000) {
+        return res.status(409).json({ error: "You already have a reading list with this name" });
+      }
+      if (err.name == "ValidationError") {
+        return res.status(403).json({ error: Object.values(err.errors)[0].message });
+      }
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/delete-reading-list", verifyJTW, (req, res) => {
+  let { list_id } = req.body;
+
+  if (!mongoose.isValidObjectId(list_id)) {
+    return res.status(404).json({ error: "Reading list not found" });
+  }
+
+  ReadingList.findOneAndDelete({ _id: list_id, owner: req.user, is_default: false })
+    .then((list) => {
+      if (!list) {
+        return res.status(404).json({ error: "Reading list not found" });
+      }
+      return res.status(200).json({ status: "done" });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+// Moves one blog to a new position (0 based) inside the list.
+server.post("/reorder-reading-list", verifyJTW, (req, res) => {
+  let { list_id, blog_id, position } = req.body;
+
+  if (!mongoose.isValidObjectId(list_id)) {
+    return res.status(404).json({ error: "Reading list not found" });
+  }
+
+  Promise.all([
+    ReadingList.findOne({ _id: list_id, owner: req.user }),
+    Blog.findOne({ blog_id }).select("_id"),
+  ])
+    .then(async ([list, blog]) => {
+      if (!list) {
+        return res.status(404).json({ error: "Reading list not found" });
+      }
+
+      let from = blog ? list.items.findIndex((item) => String(item.blog) == String(blog._id)) : -1;
+
+      if (from == -1) {
+        return res.status(404).json({ error: "This blog is not in the reading list" });
+      }
+
+      let to = Math.max(0, Math.min(Number(position) || 0, list.items.length - 1));
+
+      let [item] = list.items.splice(from, 1);
+      list.items.splice(to, 0, item);
+
+      await list.save();
+
+      return res.status(200).json({ position: to });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+// Own lists, or another user's public ones when a username is given.
+server.post("/reading-lists", optionalJTW, (req, res) => {
+  let { username } = req.body;
+
+  let ownerQuery = username
+    ? User.findOne({ "personal_info.username": username }).select("_id")
+    : Promise.resolve(req.user ? { _id: req.user } : null);
+
+  ownerQuery
+    .then(async (owner) => {
+      if (!owner) {
+        return res.status(username ? 404 : 401).json({ error: username ? "User not found" : "No access token" });
+      }
+
+      let findQuery = { owner: owner._id };
+
+      if (String(owner._id) != String(req.user)) {
+        findQuery.is_public = true;
+      } else {
+        await defaultReadingList(owner._id);
+      }
+
+      let lists = await ReadingList.aggregate([
+        { $match: findQuery },
+        { $sort: { is_default: -1, updatedAt: -1 } },
+        {
+          $project: {
+            name: 1, description: 1, is_public: 1, is_default: 1, updatedAt: 1,
+            total_items: { $size: "$items" },
+          },
+        },
+      ]);
+
+      return res.status(200).json({ lists });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/reading-list", optionalJTW, (req, res) => {
+  let { list_id, page } = req.body;
+
+  if (!mongoose.isValidObjectId(list_id)) {
+    return res.status(404).json({ error: "Reading list not found" });
+  }
+
+  let maxLimit = 5;
+  let skipDocs = ((page || 1) - 1) * maxLimit;
+
+  ReadingList.findOne({ _id: list_id })
+    .select("owner name description is_public is_default items")
+    .slice("items", [skipDocs, maxLimit])
+    .populate({
+      path: "items.blog",
+      match: { draft: false },
+      select: "blog_id title des banner activity tags publishedAt author -_id",
+      populate: {
+        path: "author",
+        select: "personal_info.profile_img personal_info.username personal_info.fullname -_id",
+      },
+    })
+    .then(async (list) => {
+      if (!list || (!list.is_public && String(list.owner) != String(req.user))) {
+        return res.status(404).json({ error: "Reading list not found" });
+      }
+
+      let [{ total_items }] = await ReadingList.aggregate([
+        { $match: { _id: list._id } },
+        { $project: { total_items: { $size: "$items" } } },
+      ]);
+
+      let blogs = list.items
+        .filter((item) => item.blog)
+        .map((item) => ({ ...item.blog.toObject(), addedAt: item.addedAt }));
+
+      return res.status(200).json({
+        list: { _id: list._id, name: list.name, description: list.description, is_public: list.is_public, is_default: list.is_default },
+        blogs,
+        totalDocs: total_items,
+      });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/update-profile-img", verifyJTW, (req, res) => {
+
+  let { url } = req.body;
+
+  User.findOneAndUpdate({ _id: req.user }, { "personal_info.profile_img": url })
+  .then(() => {
     return res.status(200).json({ profile_img: url });
   })
   .catch(err => {
     return res.status(500).json({ error: err.message });
   })
-})
+})
+
+server.post("/update-profile", verifyJTW, (req, res) => {
+
+  let { username, bio, social_links } = req.body;
+
+  let bioLimit = 150;
+
+  if (username.length < 3){
+    return res.status(403).json({ error: "Username must be at least 3 characters long" });
+  }
+
+  if (bio.length > bioLimit){
+    return res.status(403).json({ error: `Bio must be less than ${bioLimit} characters long` });
+  }
+
+  let socialLinksArr = Object.keys(social_links);
+
+  try {
+
+    for (let i = 0; i < socialLinksArr.length; i++){
+      if (social_links[socialLinksArr[i]].length){
+        let hostname = new URL(social_links[socialLinksArr[i]]).hostname;
+
+        if (!hostname.includes(`${socialLinksArr[i]}.com`) && socialLinksArr[i] != 'website'){
+          return res.status(403).json({ error: `Please provide a valid ${socialLinksArr[i]} link` });
+        }
+      }
+
+    }
+
+  } catch (err) {
+    return res.status(403).json({ error: "Please provide valid social links with http(s) included" });
+  }
+  
+  let updateObj = {
+    "personal_info.username": username,
+    "personal_info.bio": bio,
+    social_links
+  }
+
+  User.findOneAndUpdate({ _id: req.user }, updateObj, {
+    runValidators: true
+  })
+  .then(() => {
+    console.log("User profile updated successfully", username);
+    return res.status(200).json({ username });
+  })
+  .catch(err => {
+    if (err.code == 11000){
+      return res.status(409).json({ error: "Username already taken" });
+    }
+    return res.status(500).json({ error: err.message });
+  })
+
+})
+
+// Takes a draft or scheduled blog live. The draft -> published switch is a
+// single atomic update, so calling this twice for the same blog (two
+// scheduler ticks, or a scheduler tick racing an edit) only publishes once.
+// Resolves to the published blog, or null when it was already live.
+const publishBlog = async (filter) => {
+  // publishedAt doubles as the createdAt timestamp, which mongoose treats as
+  // immutable and drops from any update, so this goes through the driver
+  let now = new Date();
+
+  let result = await Blog.collection.findOneAndUpdate(
+    Blog.where({ ...filter, draft: true }).cast(Blog),
+    { $set: { draft: false, publishedAt: now, updatedAt: now }, $unset: { publish_at: "" } },
+    { returnDocument: "after" }
+  );
+
+  if (!result.value) {
+    return null;
+  }
+
+  let blog = Blog.hydrate(result.value);
+
+  await onBlogPublished(blog);
+
+  return blog;
+};
+
+// Everything that should happen once a post becomes visible to readers.
+const onBlogPublished = async (blog) => {
+  await User.findOneAndUpdate(
+    { _id: blog.author },
+    { $inc: { "account_info.total_posts": 1 } }
+  );
+
+  await notifyMentions({ mentions: blog.mentions, user: blog.author, blog: blog._id });
+};
+
+const MENTION_FIELDS = "personal_info.username personal_info.fullname personal_info.profile_img";
+
+const userURL = (username) => `${CLIENT_URL}/user/${username}`;
+
+// The users a list of found mentions names, unknown usernames left out.
+const resolveMentions = (mentions) => {
+  let usernames = mentionedUsernames(mentions);
+
+  if (!usernames.length) return Promise.resolve([]);
+
+  return User.find({ "personal_info.username": { $in: usernames } }).select(MENTION_FIELDS);
+};
+
+// Tells mentioned users about a blog or comment, once: anyone who already
+// has a mention notification for it is skipped, so edits don't notify again.
+// `except` is whoever was already told about it some other way.
+const notifyMentions = async ({ mentions = [], user, blog, comment, thread, except = [] }) => {
+  for (let mentioned of mentions) {
+    if ([user, ...except].some((id) => String(id) == String(mentioned))) continue;
+
+    let notified = await Notification.exists({
+      type: "mention",
+      notification_for: mentioned,
+      blog,
+      comment: comment || { $exists: false },
+    });
+
+    if (!notified) {
+      await createNotification({ type: "mention", notification_for: mentioned, user, blog, comment, thread });
+    }
+  }
+};
+
+const publishScheduledBlogs = async () => {
+  let due = await Blog.find({ draft: true, publish_at: { $lte: new Date() } }).select("_id");
+
+  for (let { _id } of due) {
+    let blog = await publishBlog({ _id, publish_at: { $lte: new Date() } });
+    if (blog) console.log(`scheduled blog ${blog.blog_id} published`);
+  }
+};
+
+// Stores the current state of a blog as its next numbered revision.
+const saveRevision = async (blog, edited_by, restored_from) => {
+  let { revision_count } = await Blog.findOneAndUpdate(
+    { _id: blog._id },
+    { $inc: { revision_count: 1 } },
+    { new: true }
+  ).select("revision_count");
+
+  return new BlogRevision({
+    blog: blog._id,
+    revision: revision_count,
+    title: blog.title,
+    des: blog.des,
+    banner: blog.banner,
+    content: blog.content,
+    tags: blog.tags,
+    draft: blog.draft,
+    edited_by,
+    restored_from,
+  }).save();
+};
+
+// Loads a blog for the revision routes, answering the request itself when
+// the blog is missing or the user may not edit it.
+const findEditableBlog = async (req, res) => {
+  let blog = await Blog.findOne({ blog_id: req.body.blog_id });
+
+  if (!blog) {
+    res.status(404).json({ error: "Blog not found" });
+    return null;
+  }
+
+  if (!canActOn(req, blog.author, "blog:edit")) {
+    res.status(403).json({ error: "You can not view the history of this blog" });
+    return null;
+  }
+
+  return blog;
+};
+
+const newBlogId = (title) => {
+  return title
+    .replace(/[^a-zA-z0-9]/g, " ")
+    .replace(/\s+/g, "-")
+    .trim() + nanoid();
+};
+
+server.post("/create-blog", verifyJTW, requirePermission("blog:create", "blog:edit:own", "blog:edit:any"), async (req, res) => {
+  let authorId = req.user;
+
+  let { title, des, banner, tags, content, draft, id, publish_at } = req.body;
+
+  if (!title.length) {
+    return res.status(403).json({ error: "Please provide a title" });
+  }
+
+  if (publish_at) {
+    publish_at = new Date(publish_at);
+
+    if (draft) {
+      return res.status(403).json({ error: "A draft can not be scheduled, save it as a post instead" });
+    }
+
+    if (isNaN(publish_at) || publish_at <= new Date()) {
+      return res.status(403).json({ error: "Please provide a publish time in the future" });
+    }
+  }
+
+  if (!draft) {
+    if (!des.length || des.length > 200) {
+      return res
+        .status(403)
+        .json({
+          error: "Please provide a blog description under 200 characters",
+        });
+    }
+
+    if (!banner.length) {
+      return res
+        .status(403)
+        .json({ error: "Please provide a blog banner image" });
+    }
+
+    if (!content.blocks.length) {
+      return res
+        .status(403)
+        .json({ error: "Please provide some blog content" });
+    }
+
+    if (!tags.length || tags.length > 5) {
+      return res
+        .status(403)
+        .json({ error: "Please provide some tags, maximum 5" });
+    }
+  }
+
+  tags = tags.map((tag) => tag.toLowerCase());
+
+  let blog_id = id || newBlogId(title);
+
+  let mentions;
+
+  try {
+    mentions = (await resolveMentions(paragraphMentions(content))).map(({ _id }) => _id);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  if (id) {
+    let existing = await Blog.findOne({ blog_id }).catch(() => null);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Blog not found" });
+    }
+
+    if (!canActOn(req, existing.author, "blog:edit")) {
+      return res.status(403).json({ error: "You can not edit this blog" });
+    }
+
+    try {
+      // blogs written before revisions existed get their current state
+      // kept as the first revision before it is overwritten
+      if (!existing.revision_count) {
+        await saveRevision(existing, existing.author);
+      }
+
+      let wasLive = !existing.draft;
+
+      if (wasLive && publish_at) {
+        return res.status(403).json({ error: "This blog is already published" });
+      }
+
+      let update = { title, des, banner, content, tags, mentions };
+
+      if (publish_at) {
+        update.draft = true;
+        update.publish_at = publish_at;
+      } else {
+        // posts that were never live stay hidden until publishBlog runs
+        update.draft = wasLive ? Boolean(draft) : true;
+        update.$unset = { publish_at: 1 };
+      }
+
+      let blog = await Blog.findOneAndUpdate({ blog_id }, update, { new: true });
+
+      if (!wasLive && !draft && !publish_at) {
+        blog = await publishBlog({ _id: blog._id }) || blog;
+      } else if (wasLive && draft) {
+        await User.findOneAndUpdate({ _id: blog.author }, { $inc: { "account_info.total_posts": -1 } });
+      } else if (wasLive) {
+        await notifyMentions({ mentions: blog.mentions, user: blog.author, blog: blog._id });
+      }
+
+      await saveRevision(blog, authorId);
+
+      return res.status(200).json({ id: blog_id, publish_at: blog.publish_at });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  } else {
+    if (!hasPermission(req.role, "blog:create")) {
+      return res.status(403).json({ error: "You are not authorized to create blog" });
+    }
+
+    let blog = new Blog({
+      title,
+      des,
+      banner,
+      content,
+      tags,
+      author: authorId,
+      blog_id,
+      draft: Boolean(draft || publish_at),
+      publish_at,
+      mentions,
+    });
+
+    blog
+      .save()
+      .then(async (blog) => {
+        await saveRevision(blog, authorId);
+
+        // scheduled posts are counted when the scheduler publishes them
+        let incrementVal = blog.draft ? 0 : 1;
+
+        if (!blog.draft) {
+          notifyMentions({ mentions: blog.mentions, user: authorId, blog: blog._id }).catch((err) => console.log(err.message));
+        }
+
+        User.findOneAndUpdate(
+          { _id: authorId },
+          {
+            $inc: { "account_info.total_posts": incrementVal },
+            $push: { blogs: blog._id },
+          }
+        )
+          .then((user) => {
+            return res.status(200).json({ id: blog_id, publish_at: blog.publish_at });
+          })
+          .catch((err) => {
+            return res
+              .status(500)
+              .json({ error: "Failed to update total posts number" });
+          });
+      })
+      .catch((err) => {
+        return res.status(500).json({ error: err.message });
+      });
+  }
+});
+
+// Converts a Markdown or HTML document into Editor.js blocks and saves it
+// as a draft, so the author can review it in the editor before publishing.
+server.post("/import-blog", verifyJTW, requirePermission("blog:create"), async (req, res) => {
+  let authorId = req.user;
+
+  let { format, source, title, tags } = req.body;
+
+  if (!IMPORT_FORMATS[format]) {
+    return res.status(403).json({ error: `Please provide a format, one of ${Object.keys(IMPORT_FORMATS).join(", ")}` });
+  }
+
+  if (typeof source != "string" || !source.trim().length) {
+    return res.status(403).json({ error: "Please provide something to import" });
+  }
+
+  let imported;
+
+  try {
+    imported = IMPORT_FORMATS[format](source);
+  } catch (err) {
+    return res.status(403).json({ error: "The document could not be converted" });
+  }
+
+  title = (typeof title == "string" && title.trim()) || imported.title;
+
+  if (!title || !title.length) {
+    return res.status(403).json({ error: "Please provide a title, none was found in the document" });
+  }
+
+  if (!imported.content.blocks.length) {
+    return res.status(403).json({ error: "The document has no content that could be imported" });
+  }
+
+  tags = Array.isArray(tags) && tags.length ? tags.slice(0, 5).map((tag) => String(tag).toLowerCase()) : imported.tags;
+
+  let blog_id = newBlogId(title);
+
+  try {
+    let blog = await new Blog({
+      title,
+      des: imported.des,
+      banner: imported.banner,
+      content: imported.content,
+      tags,
+      author: authorId,
+      blog_id,
+      draft: true,
+    }).save();
+
+    await saveRevision(blog, authorId);
+
+    await User.findOneAndUpdate({ _id: authorId }, { $push: { blogs: blog._id } });
+
+    return res.status(200).json({
+      id: blog_id,
+      title: blog.title,
+      des: blog.des,
+      banner: blog.banner,
+      tags: blog.tags,
+      blocks: imported.content.blocks.length,
+      warnings: imported.warnings,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Finds the User for an author of an imported archive: an explicit
+// `authors` mapping first, then the same email, then the same username.
+// Returns null when nothing matches.
+const findImportAuthor = async (author, mapping) => {
+  let username = mapping[author.login] || mapping[author.email];
+
+  if (username) {
+    let user = await User.findOne({ "personal_info.username": username }).select("_id personal_info.username");
+    return user ? { user, matched_by: "mapping" } : null;
+  }
+
+  if (author.email) {
+    let user = await User.findOne({ "personal_info.email": author.email }).select("_id personal_info.username");
+    if (user) return { user, matched_by: "email" };
+  }
+
+  if (author.login) {
+    let user = await User.findOne({ "personal_info.username": author.login }).select("_id personal_info.username");
+    if (user) return { user, matched_by: "username" };
+  }
+
+  return null;
+};
+
+// Saves the comments of one imported post that aren't in the database yet,
+// oldest first so replies can find their parent.
+const importComments = async (source, blog, comments, authors) => {
+  let known = await Comment.find({
+    "imported_from.source": source,
+    "imported_from.id": { $in: comments.map((comment) => comment.source_id) },
+  }).select("_id imported_from");
+
+  let ids = new Map(known.map((comment) => [comment.imported_from.id, comment._id]));
+  let created = [];
+  let parents = 0;
+
+  let pending = comments
+    .filter((comment) => !ids.has(comment.source_id))
+    .sort((a, b) => (a.date || 0) - (b.date || 0));
+
+  for (let comment of pending) {
+    // only comments written by a mapped author while logged in to the source
+    // belong to an account here, everyone else keeps their name as a guest
+    let author = comment.author.id && comment.author.id != "0" ? authors.get(`id:${comment.author.id}`) : null;
+    let parent = comment.parent_id ? ids.get(comment.parent_id) : null;
+    let date = comment.date || blog.publishedAt;
+
+    let commentDoc = await new Comment({
+      blog_id: blog._id,
+      blog_author: blog.author,
+      comment: comment.text,
+      commented_by: author ? author._id : undefined,
+      guest_author: author ? undefined : { name: comment.author.name || "Anonymous", url: comment.author.url || undefined },
+      isReply: Boolean(parent),
+      parent: parent || undefined,
+      imported_from: { source, id: comment.source_id },
+      commentedAt: date,
+      updatedAt: date,
+    }).save({ timestamps: false });
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent }, { $push: { children: commentDoc._id } });
+    } else {
+      parents++;
+    }
+
+    ids.set(comment.source_id, commentDoc._id);
+    created.push(commentDoc._id);
+  }
+
+  if (created.length) {
+    await Blog.updateOne(
+      { _id: blog._id },
+      {
+        $push: { comments: { $each: created } },
+        $inc: { "activity.total_comments": created.length, "activity.total_parent_comments": parents },
+      }
+    );
+  }
+
+  return { created: created.length, skipped: comments.length - pending.length };
+};
+
+// Imports a WordPress WXR file or a Medium export zip, sent as the raw
+// request body. Posts and comments imported before are skipped, so the same
+// archive can be imported again after fixing author mappings. With
+// `dry_run` nothing is saved and the report says what would happen.
+//
+// Query: source=wordpress|medium, dry_run, default_author=username,
+//        authors=login:username,login:username
+server.post("/bulk-import", verifyJTW, requirePermission("blog:import"), express.raw({ type: () => true, limit: process.env.IMPORT_MAX_SIZE || "50mb" }), async (req, res) => {
+  let { source, dry_run, default_author, authors } = req.query;
+
+  dry_run = ["1", "true", "yes"].includes(String(dry_run).toLowerCase());
+
+  if (!ARCHIVE_SOURCES.includes(source)) {
+    return res.status(403).json({ error: `Please provide a source, one of ${ARCHIVE_SOURCES.join(", ")}` });
+  }
+
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(403).json({ error: "Please send the export file as the request body" });
+  }
+
+  let archive;
+
+  try {
+    archive = readArchive(source, req.body);
+  } catch (err) {
+    return res.status(403).json({ error: `The archive could not be read: ${err.message}` });
+  }
+
+  let mapping = Object.fromEntries(
+    String(authors || "")
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .filter(([from, to]) => from && to)
+  );
+
+  try {
+    let fallback = null;
+
+    if (default_author) {
+      fallback = await User.findOne({ "personal_info.username": default_author }).select("_id personal_info.username");
+
+      if (!fallback) {
+        return res.status(404).json({ error: "The default author was not found" });
+      }
+    } else {
+      fallback = await User.findById(req.user).select("_id personal_info.username");
+    }
+
+    // resolve every source author once
+    let authorReport = new Map();
+    let authorUsers = new Map();
+
+    for (let post of archive.posts) {
+      let key = post.author.login || post.author.email || post.author.name || "";
+      if (authorReport.has(key)) continue;
+
+      let found = await findImportAuthor(post.author, mapping);
+      let user = found ? found.user : fallback;
+
+      authorReport.set(key, {
+        source: key,
+        name: post.author.name,
+        username: user.personal_info.username,
+        matched_by: found ? found.matched_by : "default",
+      });
+      authorUsers.set(key, user);
+
+      // logged in commenters are matched through the author they were
+      if (found && post.author.id) authorUsers.set(`id:${post.author.id}`, user);
+    }
+
+    let existing = await Blog.find({
+      "imported_from.source": source,
+      "imported_from.id": { $in: archive.posts.map((post) => post.source_id) },
+    }).select("_id blog_id author publishedAt imported_from");
+
+    let existingBySource = new Map(existing.map((blog) => [blog.imported_from.id, blog]));
+    let seen = new Set();
+
+    let report = [];
+    let totals = { posts: archive.posts.length, created: 0, skipped: 0, comments_created: 0, comments_skipped: 0 };
+
+    for (let post of archive.posts) {
+      let key = post.author.login || post.author.email || post.author.name || "";
+      let author = authorUsers.get(key);
+      let blog = existingBySource.get(post.source_id);
+
+      let entry = {
+        source_id: post.source_id,
+        title: post.title,
+        author: authorReport.get(key).username,
+        status: post.status,
+        published: post.published,
+        blocks: post.content.blocks.length,
+        warnings: post.warnings,
+      };
+
+      if (seen.has(post.source_id) || (!blog && (!post.title || !post.content.blocks.length))) {
+        entry.action = "skip";
+        entry.warnings = [
+          ...post.warnings,
+          seen.has(post.source_id) ? "Appears twice in the archive" : !post.title ? "No title" : "No content",
+        ];
+        totals.skipped++;
+        report.push(entry);
+        continue;
+      }
+
+      if (blog) {
+        entry.action = "skip";
+        entry.blog_id = blog.blog_id;
+        totals.skipped++;
+      } else {
+        entry.action = "create";
+        totals.created++;
+      }
+
+      seen.add(post.source_id);
+
+      if (dry_run) {
+        let known = blog
+          ? await Comment.countDocuments({
+              "imported_from.source": source,
+              "imported_from.id": { $in: post.comments.map((comment) => comment.source_id) },
+            })
+          : 0;
+
+        entry.comments = { created: post.comments.length - known, skipped: known };
+      } else {
+        if (!blog) {
+          let published = post.published || new Date();
+
+          // a post WordPress had scheduled stays scheduled if that time is
+          // still ahead, otherwise it is imported as published
+          let publish_at = post.status == "future" && published > new Date() ? published : undefined;
+          let draft = post.status == "draft" || Boolean(publish_at);
+
+          blog = await new Blog({
+            title: post.title,
+            des: post.des,
+            banner: post.banner,
+            content: post.content,
+            tags: post.tags,
+            author: author._id,
+            blog_id: newBlogId(post.title),
+            draft,
+            publish_at,
+            imported_from: { source, id: post.source_id },
+            publishedAt: published,
+            updatedAt: post.modified || published,
+          }).save({ timestamps: false });
+
+          await saveRevision(blog, req.user);
+
+          await User.updateOne(
+            { _id: author._id },
+            { $inc: { "account_info.total_posts": draft ? 0 : 1 }, $push: { blogs: blog._id } }
+          );
+
+          entry.blog_id = blog.blog_id;
+        }
+
+        entry.comments = await importComments(source, blog, post.comments, authorUsers);
+      }
+
+      totals.comments_created += entry.comments.created;
+      totals.comments_skipped += entry.comments.skipped;
+
+      report.push(entry);
+    }
+
+    return res.status(200).json({
+      dry_run,
+      source,
+      totals,
+      authors: [...authorReport.values()],
+      posts: report,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/blog-revisions", verifyJTW, requirePermission("blog:edit:own", "blog:edit:any"), async (req, res) => {
+  let { page } = req.body;
+
+  let maxLimit = 10;
+
+  try {
+    let blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    let revisions = await BlogRevision.find({ blog: blog._id })
+      .populate("edited_by", "personal_info.username personal_info.fullname personal_info.profile_img -_id")
+      .sort({ revision: -1 })
+      .select("revision title draft restored_from edited_by savedAt -_id")
+      .skip(((page || 1) - 1) * maxLimit)
+      .limit(maxLimit);
+
+    return res.status(200).json({ revisions, totalDocs: blog.revision_count });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/get-blog-revision", verifyJTW, requirePermission("blog:edit:own", "blog:edit:any"), async (req, res) => {
+  let { revision } = req.body;
+
+  try {
+    let blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    let doc = await BlogRevision.findOne({ blog: blog._id, revision })
+      .populate("edited_by", "personal_info.username personal_info.fullname personal_info.profile_img -_id")
+      .select("-_id -blog -__v -updatedAt");
+
+    if (!doc) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    return res.status(200).json({ revision: doc });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/diff-blog-revisions", verifyJTW, requirePermission("blog:edit:own", "blog:edit:any"), async (req, res) => {
+  let { from, to } = req.body;
+
+  try {
+    let blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    let [fromDoc, toDoc] = await Promise.all([
+      BlogRevision.findOne({ blog: blog._id, revision: from }),
+      // comparing against the live version when `to` is left out
+      to ? BlogRevision.findOne({ blog: blog._id, revision: to }) : blog,
+    ]);
+
+    if (!fromDoc || !toDoc) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    return res.status(200).json({ from, to: to || "current", ...diffRevisions(fromDoc, toDoc) });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/restore-blog-revision", verifyJTW, requirePermission("blog:edit:own", "blog:edit:any"), async (req, res) => {
+  let { revision } = req.body;
+
+  try {
+    let blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    let doc = await BlogRevision.findOne({ blog: blog._id, revision });
+
+    if (!doc) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    // the draft state stays as it is, only what was written is brought back
+    let { title, des, banner, content, tags } = doc;
+
+    let mentions = (await resolveMentions(paragraphMentions(content))).map(({ _id }) => _id);
+
+    let restored = await Blog.findOneAndUpdate(
+      { _id: blog._id },
+      { title, des, banner, content, tags, mentions },
+      { new: true }
+    );
+
+    if (!restored.draft) {
+      await notifyMentions({ mentions: restored.mentions, user: restored.author, blog: restored._id });
+    }
+
+    let saved = await saveRevision(restored, req.user, doc.revision);
+
+    return res.status(200).json({ id: blog.blog_id, revision: saved.revision });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/get-blog", optionalJTW, (req, res) => {
+  // format renders the content server side as html, markdown or text,
+  // the raw Editor.js blocks are always returned as well
+  let { blog_id, draft, mode, format } = req.body;
+
+  if (format && !RENDER_FORMATS.includes(format)) {
+    return res.status(403).json({ error: `Format must be one of ${RENDER_FORMATS.join(", ")}` });
+  }
+
+  let incrementVal = mode != "edit" ? 1 : 0;
+
+  Blog.findOne({ blog_id })
+    .populate(
+      "author",
+      "personal_info.fullname personal_info.username personal_info.profile_img"
+    )
+    .populate("mentions", MENTION_FIELDS)
+    .select("title des content banner activity publishedAt blog_id tags draft publish_at mentions")
+    .then((blog) => {
+      if (!blog) {
+        return res.status(404).json({ error: "Blog not found" });
+      }
+
+      // scheduled posts are only visible to the people who can edit them
+      if (blog.publish_at && !canActOn(req, blog.author._id, "blog:edit")) {
+        return res.status(403).json({ error: "This blog has not been published yet" });
+      }
+
+      if (blog.draft && !draft) {
+        return res
+          .status(500)
+          .json({ error: "You can not access draft blogs" });
+      }
+
+      // only reads of something the reader was allowed to see are counted
+      if (incrementVal) {
+        Blog.updateOne({ _id: blog._id }, { $inc: { "activity.total_reads": incrementVal } })
+          .catch((err) => console.log(err.message));
+
+        User.updateOne({ _id: blog.author._id }, { $inc: { "account_info.total_reads": incrementVal } })
+          .catch((err) => console.log(err.message));
+
+        recordActivity(blog._id, "reads");
+      }
+
+      blog = {
+        ...blog.toObject(),
+        reading_time: readingTime(blog.content),
+        mentions: mentionLinks(paragraphMentions(blog.content), blog.mentions, userURL),
+      };
+
+      if (format) {
+        blog.rendered = { format, body: render(blog.content, format) };
+      }
+
+      return res.status(200).json({ blog });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/like-blog", verifyJTW, requireVerifiedEmail, (req, res) => {
+  let user_id = req.user;
+
+  // whether this is a like or an unlike is worked out from the likes
+  // collection, the client's isLikedByUser flag is not trusted
+  let { _id } = req.body;
+
+  Blog.findOne({ _id, draft: false })
+    .select("author")
+    .then(async (blog) => {
+      if (!blog) {
+        return res.status(404).json({ error: "Blog not found" });
+      }
+
+      let removed = await Like.findOneAndDelete({ user: user_id, blog: _id });
+
+      if (removed) {
+        let updated = await Blog.findOneAndUpdate(
+          { _id },
+          { $inc: { "activity.total_likes": -1 } },
+          { new: true }
+        ).select("activity.total_likes");
+
+        // taken back from the hour the like was counted in
+        recordActivity(_id, "likes", -1, removed.likedAt);
+
+        Notification.findOneAndDelete({ user: user_id, blog: _id, type: "like" })
+          .then(() => pushUnreadCount(blog.author))
+          .catch((err) => console.log(err.message));
+
+        return res.status(200).json({ liked_by_user: false, total_likes: updated.activity.total_likes });
+      }
+
+      try {
+        await new Like({ user: user_id, blog: _id }).save();
+      } catch (err) {
+        // a concurrent request already liked it
+        if (err.code == 11000) {
+          let current = await Blog.findOne({ _id }).select("activity.total_likes");
+          return res.status(200).json({ liked_by_user: true, total_likes: current.activity.total_likes });
+        }
+        throw err;
+      }
+
+      let updated = await Blog.findOneAndUpdate(
+        { _id },
+        { $inc: { "activity.total_likes": 1 } },
+        { new: true }
+      ).select("activity.total_likes");
+
+      recordActivity(_id, "likes");
+
+      createNotification({
+        type: "like",
+        blog: _id,
+        notification_for: blog.author,
+        user: user_id,
+      }).catch((err) => console.log(err.message));
+
+      return res.status(200).json({ liked_by_user: true, total_likes: updated.activity.total_likes });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/is-liked-by-user", verifyJTW, (req, res) => {
+  let user_id = req.user;
+
+  let { _id } = req.body;
+
+  Like.exists({ user: user_id, blog: _id })
+    .then((result) => {
+      return res.status(200).json({ result });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/blog-likers", (req, res) => {
+  let { _id, page } = req.body;
+
+  let maxLimit = 20;
+
+  Promise.all([
+    Like.find({ blog: _id })
+      .populate("user", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+      .sort({ likedAt: -1 })
+      .skip(((page || 1) - 1) * maxLimit)
+      .limit(maxLimit)
+      .select("user likedAt -_id"),
+    Like.countDocuments({ blog: _id }),
+  ])
+    .then(([likers, count]) => {
+      return res.status(200).json({ likers, totalDocs: count });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+// Comments only count towards the blog's totals while they are visible.
+const countComment = (comment, amount) => {
+  return Blog.findOneAndUpdate(
+    { _id: comment.blog_id },
+    { $inc: { "activity.total_comments": amount, "activity.total_parent_comments": comment.isReply ? 0 : amount } }
+  );
+};
+
+// Runs when a comment goes live, straight away or once a moderator approves
+// it: counts it and tells the blog author, or the commenter replied to.
+const publishComment = async (comment) => {
+  await countComment(comment, 1);
+
+  recordActivity(comment.blog_id, "comments");
+
+  let thread = comment.isReply ? await threadOf(comment.parent) : comment._id;
+
+  let notificationObj = {
+    type: comment.isReply ? "reply" : "comment",
+    blog: comment.blog_id,
+    notification_for: comment.blog_author,
+    user: comment.commented_by,
+    comment: comment._id,
+    thread,
+  }
+
+  if (comment.isReply){
+    notificationObj.replied_on_comment = comment.parent;
+
+    let parent = await Comment.findOne({ _id: comment.parent }).select("commented_by");
+
+    // imported guest comments have nobody to notify
+    notificationObj.notification_for = parent && parent.commented_by;
+  }
+
+  // a comment held after going live was already notified about
+  let notified = await Notification.exists({ comment: comment._id, type: { $in: ["comment", "reply"] } });
+
+  if (notificationObj.notification_for && !notified){
+    await createNotification(notificationObj);
+  }
+
+  await notifyMentions({
+    mentions: comment.mentions,
+    user: comment.commented_by,
+    blog: comment.blog_id,
+    comment: comment._id,
+    thread,
+    except: [notificationObj.notification_for],
+  });
+};
+
+// Replaces the mentioned users of lean comments with where each mention is
+// in the text and who it links to.
+const linkCommentMentions = (comments) => {
+  comments.forEach((comment) => {
+    comment.mentions = mentionLinks(findMentions(comment.comment), comment.mentions || [], userURL);
+  });
+};
+
+server.post("/add-comment", limitByIP("add-comment", MINUTE, 30), verifyJTW, requireVerifiedEmail, limitByAccount("add-comment", MINUTE, 10), (req, res) => {
+  let user_id = req.user;
+
+  let { _id, comment, blog_author, replying_to, notification_id } = req.body;
+
+  if (!comment.length){
+    return res.status(403).json({ "error": 'Write something to leave a comment' });
+  }
+
+  // comments the blocklist catches wait for a moderator before anyone sees them
+  let held_for = checkComment(comment);
+
+  let commentObj = new Comment({
+    blog_id: _id, blog_author, comment, commented_by: user_id,
+    status: held_for.length ? "pending" : "visible",
+    held_for: held_for.length ? held_for : undefined,
+  })
+
+  if (replying_to){
+    commentObj.parent = replying_to;
+    commentObj.isReply = true;
+  }
+
+  let mentioned = [];
+
+  resolveMentions(findMentions(comment))
+  .then(users => {
+    mentioned = users;
+    commentObj.mentions = users.map(({ _id }) => _id);
+
+    return new Comment(commentObj).save();
+  })
+  .then(async commentFile => {
+
+    let { comment, commentedAt, children, status } = commentFile;
+
+    await Blog.findOneAndUpdate({ _id }, { $push: { "comments": commentFile._id } });
+
+    if (replying_to){
+      await Comment.findOneAndUpdate({ _id: replying_to }, { $push: { children: commentFile._id } });
+    }
+
+    if (status == "visible"){
+      await publishComment(commentFile);
+
+      if (replying_to && notification_id){
+        Notification.findOneAndUpdate({ _id: notification_id }, { reply: commentFile._id })
+        .then(notification => console.log('notification updated'))
+      }
+    }
+
+    return res.status(200).json({
+      comment, commentedAt, _id: commentFile._id, user_id, children, status,
+      mentions: mentionLinks(findMentions(comment), mentioned, userURL)
+    })
+
+  })
+  .catch(err => {
+    return res.status(500).json({ error: err.message });
+  })
+});
+
+const COMMENT_SORTS = {
+  newest: { commentedAt: -1 },
+  oldest: { commentedAt: 1 },
+  top: { total_likes: -1, commentedAt: -1 },
+};
+
+const TOP_REPLIES_PREVIEW = 2;
+
+const COMMENTER_FIELDS = "personal_info.username personal_info.profile_img personal_info.fullname";
+
+// moderation details stay out of the public listings
+const PUBLIC_COMMENT_FIELDS = "-held_for -report_count -moderated_by -moderatedAt";
+
+// Sets liked_by_user on lean comments when the reader is signed in.
+const markLikedComments = async (comments, user_id) => {
+  if (!user_id || !comments.length) return;
+
+  let liked = await CommentLike.find({ user: user_id, comment: { $in: comments.map((comment) => comment._id) } }).select("comment");
+  let ids = new Set(liked.map((like) => String(like.comment)));
+
+  comments.forEach((comment) => {
+    comment.liked_by_user = ids.has(String(comment._id));
+  });
+};
+
+server.post("/get-blog-comments", optionalJTW, async (req, res) => {
+  let { blog_id, skip, sort } = req.body;
+
+  let maxLimit = 5;
+
+  if (sort && !COMMENT_SORTS[sort]) {
+    return res.status(403).json({ error: `Sort must be one of ${Object.keys(COMMENT_SORTS).join(", ")}` });
+  }
 
-server.post("/update-profile", verifyJTW, (req, res) => {
+  try {
+    let comments = await Comment.find({ blog_id, isReply: false, status: "visible" })
+      .populate("commented_by", COMMENTER_FIELDS)
+      .populate("mentions", MENTION_FIELDS)
+      .select(PUBLIC_COMMENT_FIELDS)
+      .sort(COMMENT_SORTS[sort || "newest"])
+      .skip(skip)
+      .limit(maxLimit)
+      .lean();
+
+    // top comments come with a preview of their best liked replies
+    if (sort == "top") {
+      await Promise.all(comments.map(async (comment) => {
+        if (!comment.children.length) return;
+
+        comment.top_replies = await Comment.find({ parent: comment._id, status: "visible", total_likes: { $gt: 0 } })
+          .populate("commented_by", COMMENTER_FIELDS)
+          .populate("mentions", MENTION_FIELDS)
+          .select(`${PUBLIC_COMMENT_FIELDS} -blog_id -updatedAt`)
+          .sort(COMMENT_SORTS.top)
+          .limit(TOP_REPLIES_PREVIEW)
+          .lean();
+      }));
+    }
 
-  let { username, bio, social_links } = req.body;
+    let listed = [...comments, ...comments.flatMap((comment) => comment.top_replies || [])];
 
-  let bioLimit = 150;
+    linkCommentMentions(listed);
 
-  if (username.length < 3){
-    return res.status(403).json({ error: "Username must be at least 3 characters long" });
+    await markLikedComments(listed, req.user);
+
+    return res.status(200).json(comments);
+  } catch (err) {
+    console.log(err.message);
+    return res.status(500).json({ error: err.message });
   }
+});
 
-  if (bio.length > bioLimit){
-    return res.status(403).json({ error: `Bio must be less than ${bioLimit} characters long` });
+server.post("/get-replies", optionalJTW, async (req, res) => {
+  let { _id, skip, sort } = req.body;
+
+  let maxLimit = 5;
+
+  if (sort && !COMMENT_SORTS[sort]) {
+    return res.status(403).json({ error: `Sort must be one of ${Object.keys(COMMENT_SORTS).join(", ")}` });
   }
 
-  let socialLinksArr = Object.keys(social_links);
+  try {
+    let doc = await Comment.findOne({ _id })
+      .populate({
+        path: "children",
+        match: { status: "visible" },
+        options: {
+          limit: maxLimit,
+          skip: skip,
+          sort: COMMENT_SORTS[sort || "newest"],
+        },
+        populate: [
+          { path: "commented_by", select: COMMENTER_FIELDS },
+          { path: "mentions", select: MENTION_FIELDS },
+        ],
+        select: `${PUBLIC_COMMENT_FIELDS} -blog_id -updatedAt`,
+      })
+      .select("children")
+      .lean();
+
+    if (!doc) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    linkCommentMentions(doc.children);
+
+    await markLikedComments(doc.children, req.user);
+
+    return res.status(200).json({ replies: doc.children });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/like-comment", verifyJTW, requireVerifiedEmail, limitByAccount("like-comment", MINUTE, 60), async (req, res) => {
+  let user_id = req.user;
+
+  // like or unlike is decided from the comment likes collection, the same
+  // as /like-blog
+  let { _id } = req.body;
 
   try {
+    let comment = await Comment.findOne({ _id, status: "visible" }).select("blog_id commented_by");
 
-    for (let i = 0; i < socialLinksArr.length; i++){
-      if (social_links[socialLinksArr[i]].length){
-        let hostname = new URL(social_links[socialLinksArr[i]]).hostname;
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
 
-        if (!hostname.includes(`${socialLinksArr[i]}.com`) && socialLinksArr[i] != 'website'){
-          return res.status(403).json({ error: `Please provide a valid ${socialLinksArr[i]} link` });
-        }
+    let removed = await CommentLike.findOneAndDelete({ user: user_id, comment: _id });
+
+    if (removed) {
+      let updated = await Comment.findOneAndUpdate({ _id }, { $inc: { total_likes: -1 } }, { new: true }).select("total_likes");
+
+      Notification.findOneAndDelete({ user: user_id, comment: _id, type: "comment_like" })
+        .then((notification) => notification && pushUnreadCount(notification.notification_for))
+        .catch((err) => console.log(err.message));
+
+      return res.status(200).json({ liked_by_user: false, total_likes: updated.total_likes });
+    }
+
+    try {
+      await new CommentLike({ user: user_id, comment: _id, blog: comment.blog_id }).save();
+    } catch (err) {
+      // a concurrent request already liked it
+      if (err.code == 11000) {
+        let current = await Comment.findOne({ _id }).select("total_likes");
+        return res.status(200).json({ liked_by_user: true, total_likes: current.total_likes });
       }
+      throw err;
+    }
 
+    let updated = await Comment.findOneAndUpdate({ _id }, { $inc: { total_likes: 1 } }, { new: true }).select("total_likes");
+
+    // imported guest comments have nobody to notify
+    if (comment.commented_by) {
+      threadOf(_id)
+        .then((thread) => createNotification({
+          type: "comment_like",
+          blog: comment.blog_id,
+          notification_for: comment.commented_by,
+          user: user_id,
+          comment: _id,
+          thread,
+        }))
+        .catch((err) => console.log(err.message));
     }
 
+    return res.status(200).json({ liked_by_user: true, total_likes: updated.total_likes });
   } catch (err) {
-    return res.status(403).json({ error: "Please provide valid social links with http(s) included" });
+    return res.status(500).json({ error: err.message });
   }
-  
-  let updateObj = {
-    "personal_info.username": username,
-    "personal_info.bio": bio,
-    social_links
+});
+
+const deleteComments = async (_id) => {
+  let comment = await Comment.findOneAndDelete({ _id });
+
+  // already gone with a parent that was deleted first
+  if (!comment) return;
+
+  if (comment.parent) {
+    await Comment.findOneAndUpdate({ _id: comment.parent }, { $pull: { children: _id } });
   }
 
-  User.findOneAndUpdate({ _id: req.user }, updateObj, {
-    runValidators: true
-  })
-  .then(() => {
-    console.log("User profile updated successfully", username);
-    return res.status(200).json({ username });
-  })
-  .catch(err => {
-    if (err.code == 11000){
-      return res.status(409).json({ error: "Username already taken" });
+  // the comment's own notification and any likes on it
+  await Notification.deleteMany({ comment: _id });
+
+  await Notification.findOneAndUpdate({ reply: _id }, { $unset: { reply: 1 } });
+
+  await CommentReport.deleteMany({ comment: _id });
+
+  await CommentRevision.deleteMany({ comment: _id });
+
+  await CommentLike.deleteMany({ comment: _id });
+
+  await Blog.findOneAndUpdate({ _id: comment.blog_id }, { $pull: { comments: _id } });
+
+  if (comment.status == "visible") {
+    await countComment(comment, -1);
+  }
+
+  for (let reply of comment.children) {
+    await deleteComments(reply);
+  }
+};
+
+server.post("/delete-comment", verifyJTW, (req, res) => {
+  let user_id = req.user;
+
+  let { _id } = req.body;
+
+  if (!mongoose.isValidObjectId(_id)) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+
+  Comment.findOne({ _id })
+    .then(async (comment) => {
+      if (!comment) {
+        return res.status(404).json({ error: "Comment not found" });
+      }
+
+      if (user_id == comment.commented_by || user_id == comment.blog_author || hasPermission(req.role, "comment:moderate")) {
+        await deleteComments(_id);
+
+        return res.status(200).json({ status: "done" });
+      } else {
+        return res.status(403).json({ error: "You can not delete this comment" });
+      }
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+const COMMENT_EDIT_WINDOW_MINUTES = Number(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+server.post("/edit-comment", verifyJTW, requireVerifiedEmail, limitByAccount("edit-comment", MINUTE, 10), async (req, res) => {
+  let user_id = req.user;
+
+  let { _id, comment: text } = req.body;
+
+  if (typeof text != "string" || !text.trim().length) {
+    return res.status(403).json({ error: "Write something to leave a comment" });
+  }
+
+  try {
+    let comment = await Comment.findOne({ _id });
+
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    if (!comment.commented_by || String(comment.commented_by) != String(user_id)) {
+      return res.status(403).json({ error: "You can only edit your own comments" });
+    }
+
+    if (["hidden", "removed"].includes(comment.status)) {
+      return res.status(403).json({ error: "This comment has been taken down and can not be edited" });
+    }
+
+    if (Date.now() - comment.commentedAt > COMMENT_EDIT_WINDOW_MINUTES * MINUTE) {
+      return res.status(403).json({ error: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting` });
+    }
+
+    if (text == comment.comment) {
+      return res.status(200).json({ _id, comment: comment.comment, edited: comment.edited, editedAt: comment.editedAt, status: comment.status });
+    }
+
+    let held_for = checkComment(text);
+    let editedAt = new Date();
+
+    let mentioned = await resolveMentions(findMentions(text));
+
+    let update = { comment: text, edited: true, editedAt, mentions: mentioned.map(({ _id }) => _id) };
+
+    // an edit that trips the blocklist goes back to the moderators
+    if (held_for.length) {
+      update.status = "pending";
+      update.held_for = held_for;
+    }
+
+    // only replaces the version that was read, so two edits at once can't
+    // lose one from the history
+    let updated = await Comment.findOneAndUpdate({ _id, comment: comment.comment }, update, { new: true });
+
+    if (!updated) {
+      return res.status(409).json({ error: "The comment was changed in the meantime, please reload" });
+    }
+
+    await new CommentRevision({
+      comment: comment._id,
+      blog: comment.blog_id,
+      text: comment.comment,
+      writtenAt: comment.editedAt || comment.commentedAt,
+    }).save();
+
+    if (comment.status == "visible" && updated.status != "visible") {
+      await countComment(updated, -1);
+    }
+
+    // people mentioned before the edit were already told
+    if (updated.status == "visible") {
+      await notifyMentions({
+        mentions: updated.mentions,
+        user: user_id,
+        blog: updated.blog_id,
+        comment: updated._id,
+        thread: await threadOf(updated._id),
+      });
     }
+
+    let { comment: newText, edited, status } = updated;
+
+    return res.status(200).json({ _id, comment: newText, edited, editedAt, status, mentions: mentionLinks(findMentions(newText), mentioned, userURL) });
+  } catch (err) {
     return res.status(500).json({ error: err.message });
-  })
+  }
+});
 
-})
+// Earlier versions of a comment, for the commenter, the blog's author and
+// moderators.
+server.post("/comment-history", verifyJTW, async (req, res) => {
+  let user_id = req.user;
 
-server.post("/create-blog", verifyJTW, (req, res) => {
-  let authorId = req.user;
-  let isAdmin = req.admin;
+  let { _id } = req.body;
 
-  if (isAdmin) {
+  try {
+    let comment = await Comment.findOne({ _id }).select("comment commented_by blog_author edited editedAt commentedAt");
 
-    let { title, des, banner, tags, content, draft, id } = req.body;
-  
-    if (!title.length) {
-      return res.status(403).json({ error: "Please provide a title" });
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
     }
-  
-    if (!draft) {
-      if (!des.length || des.length > 200) {
-        return res
-          .status(403)
-          .json({
-            error: "Please provide a blog description under 200 characters",
-          });
-      }
-  
-      if (!banner.length) {
-        return res
-          .status(403)
-          .json({ error: "Please provide a blog banner image" });
-      }
-  
-      if (!content.blocks.length) {
-        return res
-          .status(403)
-          .json({ error: "Please provide some blog content" });
-      }
-  
-      if (!tags.length || tags.length > 5) {
-        return res
-          .status(403)
-          .json({ error: "Please provide some tags, maximum 5" });
+
+    let allowed = [comment.commented_by, comment.blog_author].some((id) => id && String(id) == String(user_id))
+      || hasPermission(req.role, "comment:moderate");
+
+    if (!allowed) {
+      return res.status(403).json({ error: "You can not see the history of this comment" });
+    }
+
+    let versions = await CommentRevision.find({ comment: _id })
+      .sort({ replacedAt: -1 })
+      .select("text writtenAt replacedAt -_id");
+
+    return res.status(200).json({
+      current: { comment: comment.comment, writtenAt: comment.editedAt || comment.commentedAt },
+      versions,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+server.post("/report-comment", limitByIP("report-comment", MINUTE, 30), verifyJTW, limitByAccount("report-comment", MINUTE, 10), async (req, res) => {
+  let user_id = req.user;
+
+  let { _id, reason, details } = req.body;
+
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(403).json({ error: `Please choose a reason, one of ${REPORT_REASONS.join(", ")}` });
+  }
+
+  if (details && (typeof details != "string" || details.length > 500)) {
+    return res.status(403).json({ error: "Please keep the details under 500 characters" });
+  }
+
+  try {
+    let comment = await Comment.findOne({ _id, status: "visible" }).select("commented_by blog_id");
+
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    if (String(comment.commented_by) == String(user_id)) {
+      return res.status(403).json({ error: "You can not report your own comment" });
+    }
+
+    // reporting twice keeps the first report
+    let result = await CommentReport.updateOne(
+      { comment: _id, reported_by: user_id },
+      { $setOnInsert: { blog: comment.blog_id, reason, details: details || "" } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount) {
+      let { report_count } = await Comment.findOneAndUpdate({ _id }, { $inc: { report_count: 1 } }, { new: true });
+
+      if (report_count >= REPORTS_TO_HOLD) {
+        let held = await Comment.findOneAndUpdate(
+          { _id, status: "visible" },
+          { status: "pending", $addToSet: { held_for: `reported ${report_count} times` } }
+        );
+
+        if (held) await countComment(held, -1);
       }
     }
-  
-    tags = tags.map((tag) => tag.toLowerCase());
-  
-    let blog_id =
-      id ||
-      title
-        .replace(/[^a-zA-z0-9]/g, " ")
-        .replace(/\s+/g, "-")
-        .trim() + nanoid();
-  
-    if (id) {
-      Blog.findOneAndUpdate(
-        { blog_id },
-        { title, des, banner, content, tags, draft: draft ? draft : false }
-      ).then(() => {
-        return res.status(200).json({ error: err.message });
-      });
-    } else {
-      let blog = new Blog({
-        title,
-        des,
-        banner,
-        content,
-        tags,
-        author: authorId,
-        blog_id,
-        draft: Boolean(draft),
-      });
-  
-      blog
-        .save()
-        .then((blog) => {
-          let incrementVal = draft ? 0 : 1;
-  
-          User.findOneAndUpdate(
-            { _id: authorId },
-            {
-              $inc: { "account_info.total_post": incrementVal },
-              $push: { blogs: blog._id },
-            }
-          )
-            .then((user) => {
-              return res.status(200).json({ id: blog_id });
-            })
-            .catch((err) => {
-              return res
-                .status(500)
-                .json({ error: "Failed to update total posts number" });
-            });
-        })
-        .catch((err) => {
-          return res.status(500).json({ error: err.message });
-        });
+
+    return res.status(200).json({ status: "reported" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+const MODERATION_FILTERS = ["pending", "reported", "hidden", "removed"];
+
+// "reported" is every comment with open reports that is still up or held
+const moderationQuery = (filter = "pending") => {
+  if (filter == "reported") {
+    return { status: { $in: ["visible", "pending"] }, report_count: { $gt: 0 } };
+  }
+  return { status: filter };
+};
+
+server.post("/moderation-queue", verifyJTW, requirePermission("comment:moderate"), (req, res) => {
+  let { page, filter } = req.body;
+
+  let maxLimit = 10;
+
+  if (filter && !MODERATION_FILTERS.includes(filter)) {
+    return res.status(403).json({ error: `Filter must be one of ${MODERATION_FILTERS.join(", ")}` });
+  }
+
+  Comment.find(moderationQuery(filter))
+    .populate("commented_by", "personal_info.username personal_info.profile_img personal_info.fullname")
+    .populate("blog_id", "blog_id title -_id")
+    .populate("moderated_by", "personal_info.username -_id")
+    .sort(filter == "reported" ? { report_count: -1, commentedAt: -1 } : { commentedAt: -1 })
+    .select("blog_id comment commented_by guest_author isReply status held_for report_count moderated_by moderatedAt commentedAt")
+    .skip(((page || 1) - 1) * maxLimit)
+    .limit(maxLimit)
+    .then((comments) => {
+      return res.status(200).json({ comments });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/moderation-queue-count", verifyJTW, requirePermission("comment:moderate"), (req, res) => {
+  let { filter } = req.body;
+
+  if (filter && !MODERATION_FILTERS.includes(filter)) {
+    return res.status(403).json({ error: `Filter must be one of ${MODERATION_FILTERS.join(", ")}` });
+  }
+
+  Comment.countDocuments(moderationQuery(filter))
+    .then((count) => {
+      return res.status(200).json({ totalDocs: count });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/comment-reports", verifyJTW, requirePermission("comment:moderate"), (req, res) => {
+  let { _id, page } = req.body;
+
+  let maxLimit = 10;
+
+  CommentReport.find({ comment: _id })
+    .populate("reported_by", "personal_info.username personal_info.profile_img personal_info.fullname -_id")
+    .sort({ resolved: 1, reportedAt: -1 })
+    .select("reported_by reason details resolved resolution reportedAt -_id")
+    .skip(((page || 1) - 1) * maxLimit)
+    .limit(maxLimit)
+    .then((reports) => {
+      return res.status(200).json({ reports });
+    })
+    .catch((err) => {
+      return res.status(500).json({ error: err.message });
+    });
+});
+
+server.post("/moderate-comment", verifyJTW, requirePermission("comment:moderate"), async (req, res) => {
+  let { _id, action } = req.body;
+
+  let transition = MODERATION_ACTIONS[action];
+
+  if (!transition) {
+    return res.status(403).json({ error: `Action must be one of ${Object.keys(MODERATION_ACTIONS).join(", ")}` });
+  }
+
+  try {
+    let comment = await Comment.findOne({ _id }).select("status");
+
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
     }
-    
-  } else {
-    return res.status(500).json({ error: "You are not authorized to create blog" });
+
+    if (!transition.from.includes(comment.status)) {
+      return res.status(403).json({ error: `You can not ${action} a ${comment.status} comment` });
+    }
+
+    // only moves on from the state that was checked, so two moderators
+    // acting at once can't count the comment twice
+    let updated = await Comment.findOneAndUpdate(
+      { _id, status: comment.status },
+      { status: transition.to, report_count: 0, moderated_by: req.user, moderatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ error: "Someone else moderated this comment, please reload" });
+    }
+
+    let wasVisible = comment.status == "visible";
+    let isVisible = updated.status == "visible";
+
+    if (comment.status == "pending" && isVisible) {
+      await publishComment(updated);
+    } else if (wasVisible != isVisible) {
+      await countComment(updated, isVisible ? 1 : -1);
+    }
+
+    await CommentReport.updateMany({ comment: _id, resolved: false }, { resolved: true, resolution: action });
+
+    return res.status(200).json({ _id, status: updated.status });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
   }
-
 });
 
-server.post("/get-blog", (req, res) => {
-  let { blog_id, draft, mode } = req.body;
+// Top level comment of the thread a comment belongs to.
+const threadOf = async (comment_id) => {
+  let _id = comment_id;
 
-  let incrementVal = mode != "edit" ? 1 : 0;
+  // replies nest, but never this deep
+  for (let depth = 0; depth < 50; depth++) {
+    let comment = await Comment.findOne({ _id }).select("parent");
+    if (!comment || !comment.parent) return _id;
+    _id = comment.parent;
+  }
 
-  Blog.findOneAndUpdate(
-    { blog_id },
-    { $inc: { "activity.total_reads": incrementVal } }
-  )
-    .populate(
-      "author",
-      "personal_info.fullname personal_info.username personal_info.profile_img"
-    )
-    .select("title des content banner activity publishedAt blog_id tags")
-    .then((blog) => {
-      User.findOneAndUpdate(
-        { "personal_info.username": blog.author.personal_info.username },
-        { $inc: { "account_info.total_reads": incrementVal } }
-      ).catch((err) => {
-        return res.status(500).json({ error: err.message });
-      });
+  return _id;
+};
 
-      if (blog.draft && !draft) {
-        return res
-          .status(500)
-          .json({ error: "You can not access draft blogs" });
-      }
+// Saves a notification on the channels its recipient wants it on, or not at
+// all when they have it switched off everywhere or muted where it comes from.
+const createNotification = async (notificationObj) => {
+  let recipient = await User.findOne({ _id: notificationObj.notification_for })
+    .select("notification_settings muted_blogs muted_threads muted_users");
 
-      return res.status(200).json({ blog });
+  if (!recipient) return null;
+
+  let delivery = deliveryFor(recipient, notificationObj);
+
+  if (!delivery.in_app && !delivery.email) return null;
+
+  let notification = await new Notification({ ...notificationObj, ...delivery }).save();
+
+  if (notification.in_app) {
+    pushNotification(notification).catch((err) => console.log(err.message));
+  }
+
+  return notification;
+};
+
+// What a user gets of their notifications on a channel: the types they have
+// on there, nothing from what they muted and nothing about their own actions.
+const notificationQuery = async (user_id, channel = "in_app") => {
+  let user = await User.findOne({ _id: user_id }).select("notification_settings muted_blogs muted_threads muted_users");
+
+  if (!user) {
+    return { notification_for: user_id, type: { $in: [] } };
+  }
+
+  return {
+    notification_for: user_id,
+    user: { $nin: [user_id, ...user.muted_users] },
+    type: { $in: enabledTypes(user, channel) },
+    blog: { $nin: user.muted_blogs },
+    thread: { $nin: user.muted_threads },
+    [channel]: { $ne: false },
+  };
+};
+
+server.get("/notification-settings", verifyJTW, (req, res) => {
+  User.findOne({ _id: req.user })
+    .select("notification_settings email_digest muted_blogs muted_threads muted_users")
+    .populate("muted_blogs", "blog_id title -_id")
+    .populate("muted_users", "personal_info.username personal_info.fullname personal_info.profile_img -_id")
+    .populate("muted_threads", "comment blog_id")
+    .then((user) => {
+      let { notification_settings, email_digest, muted_blogs, muted_threads, muted_users } = user;
+
+      // muted threads can have been deleted since
+      return res.status(200).json({
+        notification_settings,
+        email_digest,
+        muted: { blogs: muted_blogs, threads: muted_threads.filter(Boolean), users: muted_users },
+      });
     })
     .catch((err) => {
       return res.status(500).json({ error: err.message });
     });
 });
 
-server.post("/like-blog", verifyJTW, (req, res) => {
-  let user_id = req.user;
-
-  let { _id, isLikedByUser } = req.body;
+server.post("/update-notification-settings", verifyJTW, (req, res) => {
+  let { notification_settings, email_digest } = req.body;
 
-  let incrementVal = !isLikedByUser ? 1 : -1;
+  let update = notification_settings == undefined ? {} : settingsUpdate(notification_settings);
 
-  Blog.findOneAndUpdate(
-    { _id },
-    { $inc: { "activity.total_likes": incrementVal } }
-  ).then((blog) => {
-    if (!isLikedByUser) {
-      let like = new Notification({
-        type: "like",
-        blog: _id,
-        notification_for: blog.author,
-        user: user_id,
-      });
+  if (!update) {
+    return res.status(403).json({
+      error: `Settings must look like { type: { channel: true|false } } with types ${NOTIFICATION_TYPES.join(", ")} and channels ${NOTIFICATION_CHANNELS.join(", ")}`,
+    });
+  }
 
-      like.save().then((notification) => {
-        return res.status(200).json({ like_by_user: true });
-      });
-    } else {
-      Notification.findOneAndDelete({ user: user_id, blog: _id, type: "like" })
-        .then((data) => {
-          return res.status(200).json({ liked_by_user: false });
-        })
-        .catch((err) => {
-          return res.status(500).json({ error: err.message });
-        });
+  if (email_digest != undefined) {
+    if (!DIGEST_FREQUENCIES.includes(email_digest)) {
+      return res.status(403).json({ error: `email_digest must be one of ${DIGEST_FREQUENCIES.join(", ")}` });
     }
-  });
-});
-
-server.post("/is-liked-by-user", verifyJTW, (req, res) => {
-  let user_id = req.user;
+    update.email_digest = email_digest;
+  }
 
-  let { _id } = req.body;
+  if (!Object.keys(update).length) {
+    return res.status(403).json({ error: "Nothing to update" });
+  }
 
-  Notification.exists({ user: user_id, blog: _id, type: "like" })
-    .then((result) => {
-      return res.status(200).json({ result });
+  User.findOneAndUpdate({ _id: req.user }, { $set: update }, { new: true })
+    .select("notification_settings email_digest")
+    .then((user) => {
+      return res.status(200).json({ notification_settings: user.notification_settings, email_digest: user.email_digest });
     })
     .catch((err) => {
       return res.status(500).json({ error: err.message });
     });
 });
 
-server.post("/add-comment", verifyJTW, (req, res) => {
-  let user_id = req.user;
+// Finds what /mute and /unmute are about from { blog_id }, { comment_id } or
+// { username }, as the User field and the id to add to or pull from it.
+const muteTarget = async (req) => {
+  let { blog_id, comment_id, username } = req.body;
 
-  let { _id, comment, blog_author, replying_to, notification_id } = req.body;
+  if ([blog_id, comment_id, username].filter(Boolean).length != 1) {
+    return { status: 403, error: "Please provide one of blog_id, comment_id or username" };
+  }
 
-  if (!comment.length){
-    return res.status(403).json({ "error": 'Write something to leave a comment' });
+  if (blog_id) {
+    let blog = await Blog.findOne({ blog_id }).select("_id");
+    return blog ? { field: "muted_blogs", id: blog._id } : { status: 404, error: "Blog not found" };
   }
 
-  let commentObj = new Comment({
-    blog_id: _id, blog_author, comment, commented_by: user_id,
-  })
+  if (comment_id) {
+    if (!mongoose.isValidObjectId(comment_id) || !(await Comment.exists({ _id: comment_id }))) {
+      return { status: 404, error: "Comment not found" };
+    }
+    return { field: "muted_threads", id: await threadOf(comment_id) };
+  }
 
-  if (replying_to){
-    commentObj.parent = replying_to;
-    commentObj.isReply = true;
+  let user = await User.findOne({ "personal_info.username": username }).select("_id");
+
+  if (!user) {
+    return { status: 404, error: "User not found" };
   }
 
-  new Comment(commentObj).save().then(async commentFile => {
+  if (String(user._id) == String(req.user)) {
+    return { status: 403, error: "You can not mute yourself" };
+  }
 
-    let { comment, commentedAt, children } = commentFile;
+  return { field: "muted_users", id: user._id };
+};
 
-    Blog.findOneAndUpdate({ _id }, {$push: { "comments": commentFile._id }, $inc : { "activity.total_comments": 1 }, "activity.total_parent_comments": 1 })
-    .then(blog => { console.log('New comment created') });
+server.post("/mute", verifyJTW, async (req, res) => {
+  try {
+    let target = await muteTarget(req);
 
-    let notificationObj = {
-      type: replying_to ? "reply" : "comment",
-      blog: _id,
-      notification_for: blog_author,
-      user: user_id,
-      comment: commentFile._id
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
 
-    if (replying_to){
+    await User.updateOne({ _id: req.user }, { $addToSet: { [target.field]: target.id } });
 
-      notificationObj.replied_on_comment = replying_to;
+    pushUnreadCount(req.user).catch((err) => console.log(err.message));
 
-      await Comment.findOneAndUpdate({ _id: replying_to }, { $push: { children: commentFile._id } })
-      .then(replyingToCommentDoc => { notificationObj.notification_for = replyingToCommentDoc.commented_by })
+    return res.status(200).json({ muted: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-      if (notification_id){
-        Notification.findOneAndUpdate({ _id: notification_id }, { reply: commentFile._id })
-        .then(notification => console.log('notification updated'))
-      }
+server.post("/unmute", verifyJTW, async (req, res) => {
+  try {
+    let target = await muteTarget(req);
 
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
 
-    new Notification(notificationObj).save().then(notification => console.log('New notification created'));
+    await User.updateOne({ _id: req.user }, { $pull: { [target.field]: target.id } });
 
-    return res.status(200).json({
-      comment, commentedAt, _id: commentFile._id, user_id, children
-    })
+    pushUnreadCount(req.user).catch((err) => console.log(err.message));
 
-  })
+    return res.status(200).json({ muted: false });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
 });
 
-server.post("/get-blog-comments", (req, res) => {
-  let { blog_id, skip } = req.body;
+const DIGEST_BATCH_SIZE = Number(process.env.DIGEST_BATCH_SIZE) || 200;
 
-  let maxLimit = 5;
+// Unsubscribe links are meant to keep working, so the token doesn't expire.
+const digestUnsubscribeLink = (user) => {
+  const token = jwt.sign({ id: user._id, purpose: "unsubscribe-digest" }, process.env.SECRET_ACCESS_KEY);
+  return `${SERVER_URL}/unsubscribe-digest?token=${token}`;
+};
 
-  Comment.find({ blog_id, isReply: false })
-    .populate(
-      "commented_by",
-      "personal_info.username personal_info.profile_img personal_info.fullname"
-    )
-    .skip(skip)
-    .limit(maxLimit)
-    .sort({
-      commentAt: -1,
-    })
-    .then((comment) => {
-      return res.status(200).json(comment);
-    })
-    .catch((err) => {
-      console.log(err.message);
-      return res.status(500).json({ error: err.message });
-    });
-});
+// Mails a user the notifications they haven't seen or been mailed yet from
+// the last period. The notifications are claimed for the digest before the
+// email goes out and released again if sending fails, so neither a retry nor
+// a second instance of the job mails them twice.
+const sendDigest = async (user) => {
+  let now = new Date();
+  let frequency = user.email_digest;
+
+  let findQuery = {
+    ...(await notificationQuery(user._id, "email")),
+    seen: false,
+    digest: null,
+    createdAt: { $gte: new Date(now - DIGEST_PERIODS[frequency]) },
+  };
 
-server.post("/get-replies", (req, res) => {
-  let { _id, skip } = req.body;
+  let ids = (await Notification.find(findQuery).select("_id").sort({ createdAt: -1 })).map(({ _id }) => _id);
 
-  let maxLimit = 5;
+  let digest = null;
 
-  Comment.findOne({ _id })
-    .populate({
-      path: "children",
-      options: {
-        limit: maxLimit,
-        skip: skip,
-        sort: { commentAt: -1 },
-      },
-      populate: {
-        path: "commented_by",
-        select:
-          "personal_info.username personal_info.profile_img personal_info.fullname",
-      },
-      select: "-blog_id -updatedAt",
-    })
-    .select("children")
-    .then((doc) => {
-      return res.status(200).json({ replies: doc.children });
-    })
-    .catch((err) => {
-      return res.status(500).json({ error: err.message });
-    });
-});
+  if (ids.length) {
+    digest = await new NotificationDigest({ user: user._id, frequency, email: user.personal_info.email }).save();
 
-const deleteComments = (_id) => {
-  Comment.findOneAndDelete({ _id })
-    .then((comment) => {
-      if (comment.parent) {
-        Comment.findOneAndUpdate(
-          { _id: comment.parent },
-          { $pull: { children: _id } }
-        )
-          .then((data) => console.log("comment delete for parent"))
-          .catch((err) => console.log(err));
+    await Notification.updateMany({ _id: { $in: ids }, digest: null }, { digest: digest._id });
+
+    let notifications = await populateNotifications(Notification.find({ digest: digest._id })).sort({ createdAt: -1 });
+
+    if (!notifications.length) {
+      await NotificationDigest.deleteOne({ _id: digest._id });
+      digest = null;
+    } else {
+      let unsubscribe = digestUnsubscribeLink(user);
+
+      let { subject, text, html } = renderDigest({
+        user,
+        notifications,
+        frequency,
+        links: {
+          blog: (blog_id) => `${CLIENT_URL}/blog/${blog_id}`,
+          user: (username) => `${CLIENT_URL}/user/${username}`,
+          notifications: `${CLIENT_URL}/dashboard/notifications`,
+          unsubscribe,
+        },
+      });
+
+      try {
+        await sendMail({
+          to: user.personal_info.email,
+          subject,
+          text,
+          html,
+          // one-click unsubscribe from the mail client (RFC 8058)
+          headers: {
+            "List-Unsubscribe": `<${unsubscribe}>`,
+            "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+          },
+        });
+      } catch (err) {
+        await Notification.updateMany({ digest: digest._id }, { $unset: { digest: 1 } });
+        await NotificationDigest.deleteOne({ _id: digest._id });
+        throw err;
       }
 
-      Notification.findOneAndDelete({ comment: _id }).then((notification) =>
-        console.log("comment notification deleted")
-      );
+      digest.notifications = notifications.map(({ _id }) => _id);
+      digest.sentAt = new Date();
+      await digest.save();
+    }
+  }
 
-      Notification.findOneAndUpdate({ reply: _id }, { $unset: { reply: 1 } }).then((notification) =>
-        console.log("reply notification deleted")
-      );
+  // checked again after a full period, whether or not there was anything to send
+  await User.updateOne({ _id: user._id }, { last_digest_at: now });
 
-      Blog.findOneAndUpdate(
-        { _id: comment.blog_id },
-        {
-          $pull: { comments: _id },
-          $inc: { "activity.total_comments": -1 },
-          "activity.total_parent_comments": comment.parent ? 0 : -1,
-        }
-      ).then((blog) => {
-        if (comment.children.length) {
-          comment.children.map((replies) => {
-            deleteComments(replies);
-          });
-        }
-      });
-    })
-    .catch((err) => {
-      console.log(err.message);
-    });
+  return digest;
 };
 
-server.post("/delete-comment", verifyJTW, (req, res) => {
-  let user_id = req.user;
+const sendDigests = async () => {
+  let now = Date.now();
 
-  let { _id } = req.body;
+  let due = await User.find({
+    email_verified: true,
+    $or: Object.entries(DIGEST_PERIODS).map(([frequency, period]) => ({
+      email_digest: frequency,
+      last_digest_at: { $not: { $gt: new Date(now - period) } },
+    })),
+  })
+    .select("personal_info.fullname personal_info.email email_digest")
+    .limit(DIGEST_BATCH_SIZE);
+
+  for (let user of due) {
+    try {
+      let digest = await sendDigest(user);
+      if (digest) console.log(`${user.email_digest} digest of ${digest.notifications.length} notifications sent to user ${user._id}`);
+    } catch (err) {
+      console.log(`digest for user ${user._id} failed:`, err.message);
+    }
+  }
+};
 
-  Comment.findOne({ _id }).then((comment) => {
-    if (user_id == comment.comment_by || user_id == comment.blog_author) {
-      deleteComments(_id);
+// GET is the link in the email, POST the one-click unsubscribe mail clients
+// send on their own.
+const unsubscribeDigest = (req, res) => {
+  const token = req.query.token || (req.body && req.body.token);
 
-      return res.status(200).json({ status: "done" });
-    } else {
-      return res.status(403).json({ error: "You can not delete this comment" });
+  const reply = (status, message) => {
+    if (req.method == "POST") {
+      return res.status(status).json(status == 200 ? { email_digest: "off" } : { error: message });
+    }
+    return res.status(status).type("html").send(
+      `<!doctype html><meta charset="utf-8"><title>${escapeHTML(SITE_NAME)}</title><p>${escapeHTML(message)}</p>` +
+      `<p><a href="${escapeHTML(CLIENT_URL)}">Back to ${escapeHTML(SITE_NAME)}</a></p>`
+    );
+  };
+
+  jwt.verify(token || "", process.env.SECRET_ACCESS_KEY, (err, payload) => {
+    if (err || payload.purpose != "unsubscribe-digest") {
+      return reply(403, "This unsubscribe link is invalid.");
     }
+
+    User.updateOne({ _id: payload.id }, { email_digest: "off" })
+      .then(() => reply(200, "You won't get notification emails any more. You can turn them back on in your notification settings."))
+      .catch((err) => reply(500, err.message));
   });
-});
+};
+
+server.get("/unsubscribe-digest", unsubscribeDigest);
+server.post("/unsubscribe-digest", express.urlencoded({ extended: false }), unsubscribeDigest);
 
 server.get("/new-notification", verifyJTW, (req, res) => {
   let user_id = req.user;
 
-  Notification.exists({ notification_for: user_id, seen: false, user: { $ne: user_id } })
+  notificationQuery(user_id)
+  .then(findQuery => Notification.exists({ ...findQuery, seen: false }))
   .then(result =>{
     if (result){
       return res.status(200).json({ new_notification_available: true });
@@ -851,68 +3908,193 @@ server.get("/new-notification", verifyJTW, (req, res) => {
   })
 });
 
-server.post("/notifications", verifyJTW, (req, res) => {
+// missed notifications are read back this many at a time on a reconnect, for
+// at most this many pages
+const STREAM_REPLAY_PAGE_SIZE = 50;
+const STREAM_REPLAY_MAX_PAGES = 10;
+
+// the fields /notifications and the stream send for each notification
+const populateNotifications = (query) => {
+  return query
+    .populate("blog", "title blog_id")
+    .populate("user", "personal_info.username personal_info.profile_img personal_info.fullname")
+    .populate("comment", "comment")
+    .populate("replied_on_comment", "comment")
+    .populate("reply", "comment")
+    .select("createdAt type seen reply");
+};
+
+const notificationEvent = (notification) => ({ id: String(notification._id), event: "notification", data: notification });
+
+const pushUnreadCount = async (user_id) => {
+  let count = await Notification.countDocuments({ ...(await notificationQuery(user_id)), seen: false });
+  return publishToUser(user_id, { event: "unread-count", data: { count } });
+};
+
+// Sends a notification that was just saved to the recipient's open streams,
+// followed by their new unread count.
+const pushNotification = async (notification) => {
+  // people aren't notified about their own actions
+  if (String(notification.user) == String(notification.notification_for) || !notification.in_app) return;
+
+  let populated = await populateNotifications(Notification.findOne({ _id: notification._id }));
+  if (!populated) return;
+
+  await publishToUser(notification.notification_for, notificationEvent(populated));
+  await pushUnreadCount(notification.notification_for);
+};
+
+// EventSource can't send headers, so the stream also takes the access token
+// from the query string
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers["authorization"] && typeof req.query.access_token == "string") {
+    req.headers["authorization"] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Streams new notifications and unread counts as Server-Sent Events. A
+// client reconnecting with Last-Event-ID first gets what it missed, or a
+// "resync" event when it missed too much and should reload /notifications
+// instead. The stream ends when the access token expires; the client
+// reconnects with a fresh token and carries on from its Last-Event-ID.
+server.get("/notifications/stream", tokenFromQuery, verifyJTW, async (req, res) => {
   let user_id = req.user;
 
-  let { page, filter, deleteDocCount } = req.body;
+  let lastEventId = req.get("Last-Event-ID") || req.query.last_event_id;
 
-  let maxLimit = 10;
+  let send = openEventStream(req, res);
 
-  let findQuery = { notification_for: user_id, user: { $ne: user_id } };
+  // events published while the missed ones are read are held back and sent
+  // after them, without the ones the replay already covered
+  let queued = [];
+  let replaying = true;
+  let replayed = new Set();
+  let resyncedTo = null;
 
-  let skipDocs = ( page - 1) * maxLimit;
+  let unsubscribe = null;
+  let expiry = null;
+  let closed = false;
+
+  req.on("close", () => {
+    closed = true;
+    clearTimeout(expiry);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    unsubscribe = await subscribeToUser(user_id, (event) => {
+      if (replaying) queued.push(event);
+      else send(event);
+    });
 
-  if (filter != 'all'){
-    findQuery.type = filter;
+    if (closed) return unsubscribe();
+
+    if (mongoose.isValidObjectId(lastEventId)) {
+      let findQuery = await notificationQuery(user_id);
+
+      // read a page at a time until everything missed has been sent
+      let after = lastEventId;
+      let pages = 0;
+      let missed;
+
+      do {
+        missed = await populateNotifications(Notification.find({ ...findQuery, _id: { $gt: after } }))
+          .sort({ _id: 1 })
+          .limit(STREAM_REPLAY_PAGE_SIZE);
+
+        missed.forEach((notification) => {
+          replayed.add(String(notification._id));
+          send(notificationEvent(notification));
+        });
+
+        if (missed.length) after = missed[missed.length - 1]._id;
+        pages++;
+      } while (missed.length == STREAM_REPLAY_PAGE_SIZE && pages < STREAM_REPLAY_MAX_PAGES && !closed);
+
+      // the id moves the client's Last-Event-ID past everything the reload
+      // covers, so the next reconnect doesn't replay it again
+      if (missed.length == STREAM_REPLAY_PAGE_SIZE && !closed) {
+        let newest = await Notification.findOne(findQuery).sort({ _id: -1 }).select("_id");
+        resyncedTo = String(newest._id);
+        send({ id: resyncedTo, event: "resync", data: {} });
+      }
+    }
+
+    replaying = false;
+    queued
+      .filter((event) => !event.id || (!replayed.has(event.id) && !(resyncedTo && event.id <= resyncedTo)))
+      .forEach(send);
+
+    await pushUnreadCount(user_id);
+
+    let { exp } = jwt.decode(req.headers["authorization"].split(" ")[1]) || {};
+
+    if (exp) {
+      expiry = setTimeout(() => res.end(), Math.max(0, exp * 1000 - Date.now()));
+    }
+  } catch (err) {
+    console.log(err.message);
+    res.end();
   }
+});
+
+server.post("/notifications", verifyJTW, async (req, res) => {
+  let user_id = req.user;
+
+  let { page, filter, deleteDocCount } = req.body;
+
+  let maxLimit = 10;
+
+  let skipDocs = ( page - 1) * maxLimit;
 
   if (deleteDocCount){
     skipDocs -= deleteDocCount;
   }
 
-  Notification.find(findQuery)
-  .skip(skipDocs)
-  .limit(maxLimit)
-  .populate("blog", "title blog_id")
-  .populate("user", "personal_info.username personal_info.profile_img personal_info.fullname")
-  .populate("comment", "comment")
-  .populate("replied_on_comment", "comment")
-  .populate("reply", "comment")
-  .sort({ createdAt: -1 })
-  .select("createdAt type seen reply")
-  .then(notifications => {
-
-  Notification.updateMany(findQuery, { seen: true })
-  .skip(skipDocs)
-  .limit(maxLimit)
-  .then(() => console.log('notification seen'))
+  try {
+    let findQuery = await notificationQuery(user_id);
+
+    if (filter != 'all'){
+      findQuery.type = { $in: findQuery.type.$in.filter(type => type == filter) };
+    }
+
+    let notifications = await populateNotifications(Notification.find(findQuery))
+    .skip(skipDocs)
+    .limit(maxLimit)
+    .sort({ createdAt: -1 });
+
+    Notification.updateMany(findQuery, { seen: true })
+    .skip(skipDocs)
+    .limit(maxLimit)
+    .then(() => pushUnreadCount(user_id))
+    .catch(err => console.log(err.message))
 
     return res.status(200).json({ notifications });
-  })
-  .catch(err => {
+  } catch (err) {
     console.log(err.message);
     return res.status(500).json({ error: err.message });
-  })
+  }
 })
 
-server.post("/all-notifications-count", verifyJTW, (req, res) => {
+server.post("/all-notifications-count", verifyJTW, async (req, res) => {
   let user_id = req.user;
 
   let { filter } = req.body;
 
-  let findQuery = { notification_for: user_id, user: { $ne: user_id } };
+  try {
+    let findQuery = await notificationQuery(user_id);
 
-  if (filter != 'all'){
-    findQuery.type = filter;
-  }
+    if (filter != 'all'){
+      findQuery.type = { $in: findQuery.type.$in.filter(type => type == filter) };
+    }
+
+    let count = await Notification.countDocuments(findQuery);
 
-  Notification.countDocuments(findQuery)
-  .then(count => {
     return res.status(200).json({ totalDocs: count });
-  })
-  .catch(err => {
+  } catch (err) {
     return res.status(500).json({ error: err.message });
-  })
+  }
 })
 
 server.post("/user-written-blogs", verifyJTW, (req, res) => {
@@ -933,7 +4115,7 @@ server.post("/user-written-blogs", verifyJTW, (req, res) => {
   .skip(skipDocs)
   .limit(maxLimit)
   .sort({ publishedAt: -1 })
-  .select(" title banner publishedAt blog_id activity des draft -_id ")
+  .select(" title banner publishedAt publish_at blog_id activity des draft -_id ")
   .then(blogs => {
     return res.status(200).json({ blogs });
   })
@@ -943,33 +4125,55 @@ server.post("/user-written-blogs", verifyJTW, (req, res) => {
 
 })
 
-server.post("/delete-blog", verifyJTW, (req, res) => {
+// Everything that hangs off a blog, removed once the blog itself is deleted.
+const cleanUpBlog = (_id) => {
+  return Promise.all([
+    Notification.deleteMany({ blog: _id }),
+    Comment.deleteMany({ blog_id: _id }),
+    BlogRevision.deleteMany({ blog: _id }),
+    BlogActivity.deleteMany({ blog: _id }),
+    TrendingScore.deleteMany({ blog: _id }),
+    Like.deleteMany({ blog: _id }),
+    CommentReport.deleteMany({ blog: _id }),
+    CommentRevision.deleteMany({ blog: _id }),
+    CommentLike.deleteMany({ blog: _id }),
+    ReadingList.updateMany({ "items.blog": _id }, { $pull: { items: { blog: _id } } }),
+    User.updateMany({ muted_blogs: _id }, { $pull: { muted_blogs: _id } }),
+  ]);
+};
+
+server.post("/delete-blog", verifyJTW, requirePermission("blog:delete:own", "blog:delete:any"), (req, res) => {
 
-  let user_id = req.user;
-  let isAdmin = req.admin;
   let { blog_id } = req.body;
 
-  if (isAdmin){
-    Blog.findOneAndDelete({ blog_id })
+  Blog.findOne({ blog_id })
+  .select("author draft")
+  .then(blog => {
+
+    if (!blog){
+      return res.status(404).json({ error: "Blog not found" });
+    }
+
+    if (!canActOn(req, blog.author, "blog:delete")){
+      return res.status(403).json({ error: "You are not authorized to delete this blog" });
+    }
+
+    return Blog.findOneAndDelete({ _id: blog._id })
     .then(blog => {
-  
-      Notification.deleteMany({ blog: blog._id }).then(data => console.log('notification deleted'));
-  
-      Comment.deleteMany({ blog_id: blog._id }).then(data => console.log('comments deleted'));
-  
-      User.findOneAndUpdate({ _id: user_id }, { $pull: { blog: blog._id }, $inc: { "account_info.total_posts": blog.draft ? 0 : 1 } })
+
+      cleanUpBlog(blog._id).then(data => console.log('blog data deleted'));
+
+      // the count belongs to whoever wrote the post, not whoever deleted it
+      User.findOneAndUpdate({ _id: blog.author }, { $pull: { blogs: blog._id }, $inc: { "account_info.total_posts": blog.draft ? 0 : -1 } })
       .then(user => console.log('user blog deleted'))
-  
+
       return res.status(200).json({ status: 'done' });
-  
-    })
-    .catch(err => {
-      return res.status(500).json({ error: err.message })
-    })
-  } else {
-    return res.status(500).json({ error: "You are not authorized to delete this blog" });
-  }
 
+    })
+  })
+  .catch(err => {
+    return res.status(500).json({ error: err.message })
+  })
 
 })
 
@@ -993,3 +4197,9 @@ server.post("/user-written-blogs-count", verifyJTW, (req, res) => {
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
+
+schedule("refresh trending scores", Number(process.env.TRENDING_REFRESH_MS) || 10 * 60 * 1000, refreshTrendingScores);
+
+schedule("publish scheduled blogs", Number(process.env.PUBLISH_INTERVAL_MS) || 60 * 1000, publishScheduledBlogs);
+
+schedule("send notification digests", Number(process.env.DIGEST_INTERVAL_MS) || 60 * 60 * 1000, sendDigests);